@@ -1,10 +1,64 @@
-const jwt = require("jsonwebtoken")
-const User = require("../models/User")
+const ApiKey = require("../models/ApiKey")
+const { verifyAccessToken } = require("../utils/tokens")
+const { can } = require("../utils/permissions")
+const { getApiKeyFromRequest, verifyApiKey, consumeRateLimit } = require("../utils/apiKeys")
 
-// Protect routes
-exports.protect = async (req, res, next) => {
+// Authenticate a request made with an API key. Keys can only reach routes
+// that declare scopes, and only if the key carries all of them.
+const authenticateApiKey = async (req, res, next, key, scopes) => {
+  const verified = await verifyApiKey(key)
+
+  if (!verified) {
+    return res.status(401).json({ message: "Invalid or revoked API key" })
+  }
+
+  const { apiKey, user } = verified
+
+  if (user.status === "suspended") {
+    return res.status(403).json({ message: "Your account has been suspended" })
+  }
+
+  if (scopes.length === 0 || !scopes.every((scope) => apiKey.scopes.includes(scope))) {
+    return res.status(403).json({ message: "API key is not authorized to access this route" })
+  }
+
+  // Per-key rate limit (replaces the global limiter for API key requests)
+  const rateLimit = await consumeRateLimit(req.app.get("redisClient"), apiKey)
+
+  if (rateLimit.limit) {
+    res.set("RateLimit-Limit", rateLimit.limit)
+    res.set("RateLimit-Remaining", rateLimit.remaining)
+    res.set("RateLimit-Reset", Math.max(rateLimit.reset - Math.floor(Date.now() / 1000), 0))
+  }
+
+  if (!rateLimit.allowed) {
+    return res.status(429).json({ message: "Too many requests, please try again later." })
+  }
+
+  ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: Date.now(), lastUsedIp: req.ip } }).catch((err) =>
+    console.error("Error updating API key usage:", err.message),
+  )
+
+  req.user = user
+  req.apiKey = apiKey
+
+  next()
+}
+
+const authenticate = (scopes) => async (req, res, next) => {
   let token
 
+  // API keys may come in an X-API-Key header or as a Bearer token
+  const apiKey = getApiKeyFromRequest(req)
+
+  if (apiKey) {
+    try {
+      return await authenticateApiKey(req, res, next, apiKey, scopes)
+    } catch (err) {
+      return res.status(401).json({ message: "Not authorized to access this route" })
+    }
+  }
+
   // Check if auth header exists and starts with Bearer
   if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
     // Set token from Bearer token
@@ -17,16 +71,22 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    // Verify token and get user from it (rejects revoked tokens)
+    const verified = await verifyAccessToken(token, req.app.get("redisClient"))
 
-    // Get user from the token
-    req.user = await User.findById(decoded.id).select("-password")
-
-    if (!req.user) {
+    if (!verified) {
       return res.status(401).json({ message: "Not authorized to access this route" })
     }
 
+    const { user, decoded } = verified
+
+    if (user.status === "suspended") {
+      return res.status(403).json({ message: "Your account has been suspended" })
+    }
+
+    req.user = user
+    req.sessionId = decoded.sid
+
     // Add isAdmin flag to request if present in token
     if (decoded.isAdmin) {
       req.isAdmin = true
@@ -38,6 +98,12 @@ exports.protect = async (req, res, next) => {
   }
 }
 
+// Protect routes (API keys are rejected)
+exports.protect = authenticate([])
+
+// Protect routes that integrations may also call with an API key holding the given scopes
+exports.protectWithScope = (...scopes) => authenticate(scopes)
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -50,6 +116,23 @@ exports.authorize = (...roles) => {
   }
 }
 
+// Grant access to users holding a permission (see utils/permissions.js)
+exports.requirePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await can(req.user, permission))) {
+        return res.status(403).json({
+          message: `User role ${req.user.role} is not authorized to access this route`,
+        })
+      }
+      next()
+    } catch (err) {
+      console.error(err.message)
+      res.status(500).json({ message: "Server Error" })
+    }
+  }
+}
+
 // Admin
 exports.adminOnly = (req, res, next) => {
   if (req.user.role !== "admin") {
@@ -60,3 +143,13 @@ exports.adminOnly = (req, res, next) => {
   next()
 }
 
+
+// Require a verified email address
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: "Please verify your email address first",
+    })
+  }
+  next()
+}
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose")
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please provide a name for the key"],
+    trim: true,
+    maxlength: [100, "Name cannot be more than 100 characters"],
+  },
+  // Public part of the key, used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // SHA-256 of the full key; the key itself is only shown once
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // The user the key acts as
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Set for keys owned by an organization rather than a single user
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  scopes: {
+    type: [String],
+    required: true,
+  },
+  // Requests allowed per rate limit window (see DEFAULT_RATE_LIMIT and
+  // MAX_RATE_LIMIT in utils/apiKeys.js)
+  rateLimit: {
+    type: Number,
+    default: 1000,
+    min: [1, "Rate limit must be at least 1"],
+    max: [100000, "Rate limit cannot be more than 100000"],
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ApiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now())
+}
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema)
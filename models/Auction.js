@@ -0,0 +1,142 @@
+const mongoose = require("mongoose")
+
+// One bidding round. Later rounds can be limited to the best bidders of the
+// round before (a "best and final" round).
+const RoundSchema = new mongoose.Schema(
+  {
+    endsAt: {
+      type: Date,
+      required: [true, "Please provide when the round ends"],
+    },
+    // How many of the best bidders so far may bid in this round (all when unset)
+    shortlist: {
+      type: Number,
+      min: [1, "A shortlist needs at least one bidder"],
+    },
+    // Filled in when a shortlisted round starts
+    bidders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  { _id: false },
+)
+
+// Competitive bidding on a listing. The best bid at or above the reserve
+// price when the last round ends becomes a deal with the seller.
+const AuctionSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Listing",
+    required: true,
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Sealed bids are only visible to their bidder until the auction closes
+  mode: {
+    type: String,
+    enum: ["sealed", "open"],
+    default: "sealed",
+  },
+  // The listing's currency; prices and bids are minor units of it
+  currency: {
+    type: String,
+    required: true,
+  },
+  // Never shown to bidders
+  reservePrice: {
+    type: Number,
+    min: [0, "Reserve price cannot be negative"],
+    validate: [Number.isInteger, "Reserve price must be a whole number of minor units"],
+  },
+  startingPrice: {
+    type: Number,
+    min: [0, "Starting price cannot be negative"],
+    validate: [Number.isInteger, "Starting price must be a whole number of minor units"],
+    default: 0,
+  },
+  // Open auctions only: how much a bid must beat the best bid by
+  minIncrement: {
+    type: Number,
+    min: [0, "Minimum increment cannot be negative"],
+    validate: [Number.isInteger, "Minimum increment must be a whole number of minor units"],
+    default: 0,
+  },
+  // Deal type, custom field values and tags for the deal the winning bid
+  // creates (see utils/customFields.js)
+  dealType: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, "Deal type cannot be more than 50 characters"],
+  },
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  tags: {
+    type: [String],
+    default: [],
+  },
+  rounds: {
+    type: [RoundSchema],
+    validate: [(rounds) => rounds.length > 0, "An auction needs at least one round"],
+  },
+  // Index into rounds
+  currentRound: {
+    type: Number,
+    default: 0,
+  },
+  // Bids accepted so far. Bidding, advancing a round and closing only go
+  // through if it hasn't moved since they read the standings.
+  bidCount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ["open", "closed", "cancelled"],
+    default: "open",
+  },
+  // Set when the auction closes
+  winningBid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Bid",
+  },
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+  },
+  closedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+AuctionSchema.index({ listing: 1, createdAt: -1 })
+AuctionSchema.index({ status: 1 })
+
+// Update the updatedAt field before saving
+AuctionSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+AuctionSchema.methods.round = function () {
+  return this.rounds[this.currentRound]
+}
+
+module.exports = mongoose.model("Auction", AuctionSchema)
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose")
+
+// A bid in an auction. A bidder's best bid is their standing bid; bids are
+// never changed or removed.
+const BidSchema = new mongoose.Schema({
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Auction",
+    required: true,
+  },
+  bidder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Minor units of the auction's currency
+  amount: {
+    type: Number,
+    required: [true, "Please provide an amount"],
+    min: [0, "Amount cannot be negative"],
+    validate: [Number.isInteger, "Amount must be a whole number of minor units"],
+  },
+  // Index of the round the bid was made in
+  round: {
+    type: Number,
+    required: true,
+  },
+  // Position of the bid in the auction, 1 for the first. Two bids can't take
+  // the same position (see placeBid in utils/auctions.js).
+  seq: {
+    type: Number,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+BidSchema.index({ auction: 1, amount: -1, createdAt: 1 })
+BidSchema.index({ auction: 1, bidder: 1 })
+BidSchema.index({ auction: 1, seq: 1 }, { unique: true, partialFilterExpression: { seq: { $exists: true } } })
+
+module.exports = mongoose.model("Bid", BidSchema)
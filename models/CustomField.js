@@ -0,0 +1,59 @@
+const mongoose = require("mongoose")
+
+// Extra field on deals defined by admins, e.g. industry or EBITDA multiple.
+// Values live in Deal.customFields under the field's key (see
+// utils/customFields.js).
+const CustomFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, "Please provide a key"],
+    unique: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/, "Key must start with a letter and only use letters, digits and _"],
+  },
+  label: {
+    type: String,
+    required: [true, "Please provide a label"],
+    trim: true,
+    maxlength: [100, "Label cannot be more than 100 characters"],
+  },
+  type: {
+    type: String,
+    enum: ["text", "number", "date", "enum"],
+    required: [true, "Please provide a type"],
+  },
+  // Allowed values of enum fields
+  options: {
+    type: [String],
+    default: [],
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Deal types the field applies to; every deal type when empty
+  dealTypes: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: [],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Update the updatedAt field before saving
+CustomFieldSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("CustomField", CustomFieldSchema)
@@ -1,9 +1,16 @@
 const mongoose = require("mongoose")
+const { BASE_CURRENCY, isCurrency } = require("../utils/money")
 
 const PriceHistorySchema = new mongoose.Schema({
+  // Minor units of currency
   price: {
     type: Number,
     required: true,
+    validate: [Number.isInteger, "Price must be a whole number of minor units"],
+  },
+  currency: {
+    type: String,
+    required: true,
   },
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,6 +23,60 @@ const PriceHistorySchema = new mongoose.Schema({
   },
 })
 
+// One step through the deal state machine (see utils/dealStateMachine.js)
+const StatusTransitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  // Missing for changes made by the system (expiry and deadlines)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Someone besides the buyer and seller who takes part in the deal
+const ParticipantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["co-buyer", "co-seller", "advisor", "lawyer", "lender", "observer"],
+    required: true,
+  },
+  // The side they work for, if any; decides which one-sided documents they see
+  side: {
+    type: String,
+    enum: ["buyer", "seller"],
+  },
+  // Deal permissions (see utils/permissions.js), defaulting to the role's
+  permissions: [String],
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
 const DealSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -28,14 +89,42 @@ const DealSchema = new mongoose.Schema({
     required: [true, "Please provide a description"],
     trim: true,
   },
+  // Minor units of currency (cents for USD), see utils/money.js
   price: {
     type: Number,
     required: [true, "Please provide a price"],
+    min: [0, "Price cannot be negative"],
+    validate: [Number.isInteger, "Price must be a whole number of minor units"],
+  },
+  currency: {
+    type: String,
+    required: [true, "Please provide a currency"],
+    uppercase: true,
+    trim: true,
+    default: BASE_CURRENCY,
+    validate: [isCurrency, "{VALUE} is not an ISO 4217 currency code"],
+  },
+  // Decides which custom fields apply (see utils/customFields.js)
+  dealType: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, "Deal type cannot be more than 50 characters"],
+  },
+  // Values of admin-defined custom fields, by field key
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  tags: {
+    type: [String],
+    default: [],
   },
   status: {
     type: String,
-    enum: ["pending", "in-progress", "completed", "cancelled"],
-    default: "pending",
+    enum: ["draft", "open", "negotiating", "due-diligence", "agreed", "closing", "closed", "cancelled"],
+    default: "open",
   },
   buyer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -46,16 +135,68 @@ const DealSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
   },
+  // Firms on each side of the deal; their members share the deal room
+  buyerOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  sellerOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
   listing: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Listing",
   },
+  // Private deals are only open to invited counterparties, not every seller
+  visibility: {
+    type: String,
+    enum: ["public", "private"],
+    default: "public",
+  },
+  participants: [ParticipantSchema],
   initiatedBy: {
     type: String,
     enum: ["buyer", "seller"],
     required: true,
   },
   priceHistory: [PriceHistorySchema],
+  // Set once the other side accepts an offer; the price can't change after that
+  priceLocked: {
+    type: Boolean,
+    default: false,
+  },
+  acceptedOffer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Offer",
+  },
+  transitions: [StatusTransitionSchema],
+  // Open deals nobody picks up are cancelled at this time (see utils/dealDeadlines.js)
+  expiresAt: {
+    type: Date,
+  },
+  // Optional deadline for agreeing the deal, and what happens if it is missed
+  deadline: {
+    type: Date,
+  },
+  deadlineAction: {
+    type: String,
+    enum: ["cancel", "escalate"],
+    default: "cancel",
+  },
+  deadlineReminderSentAt: {
+    type: Date,
+  },
+  escalatedAt: {
+    type: Date,
+  },
+  // Suspended participants; the deal is frozen while this is not empty
+  frozenFor: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
   createdAt: {
     type: Date,
     default: Date.now,
@@ -66,11 +207,31 @@ const DealSchema = new mongoose.Schema({
   },
 })
 
+// Indexes for the deal list endpoints (access rules, filters and sort fields)
+DealSchema.index({ buyer: 1, updatedAt: -1 })
+DealSchema.index({ seller: 1, updatedAt: -1 })
+DealSchema.index({ "participants.user": 1, updatedAt: -1 })
+DealSchema.index({ buyerOrganization: 1, updatedAt: -1 })
+DealSchema.index({ sellerOrganization: 1, updatedAt: -1 })
+DealSchema.index({ status: 1, updatedAt: -1 })
+DealSchema.index({ listing: 1, updatedAt: -1 })
+DealSchema.index({ updatedAt: -1, _id: -1 })
+DealSchema.index({ createdAt: -1, _id: -1 })
+DealSchema.index({ price: 1, _id: 1 })
+DealSchema.index({ title: 1, _id: 1 })
+DealSchema.index({ tags: 1 })
+DealSchema.index({ dealType: 1, updatedAt: -1 })
+
 // Update the updatedAt field before saving
 DealSchema.pre("save", function (next) {
   this.updatedAt = Date.now()
   next()
 })
 
+// A frozen deal can't be changed until its suspended participants are reinstated
+DealSchema.methods.isFrozen = function () {
+  return this.frozenFor && this.frozenFor.length > 0
+}
+
 module.exports = mongoose.model("Deal", DealSchema)
 
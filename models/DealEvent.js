@@ -0,0 +1,39 @@
+const mongoose = require("mongoose")
+
+// One entry in a deal's activity timeline. Events are only ever appended.
+const DealEventSchema = new mongoose.Schema({
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+    required: true,
+  },
+  // Missing for changes made by the system rather than a user
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // What happened, e.g. "status.changed" or "document.uploaded"
+  action: {
+    type: String,
+    required: true,
+  },
+  // The offer, document, message or user the action was about, if any
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  // Values of the changed fields before and after the event
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+DealEventSchema.index({ deal: 1, createdAt: 1 })
+
+module.exports = mongoose.model("DealEvent", DealEventSchema)
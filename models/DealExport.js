@@ -0,0 +1,46 @@
+const mongoose = require("mongoose")
+
+// A closing binder built in the background for one user. It only holds what
+// that user could see, so only they may download it.
+const DealExportSchema = new mongoose.Schema({
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+    required: true,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["building", "ready", "failed"],
+    default: "building",
+  },
+  // Name of the ZIP file in uploads/exports
+  fileName: {
+    type: String,
+  },
+  fileSize: {
+    type: Number,
+  },
+  error: {
+    type: String,
+  },
+  completedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+DealExportSchema.index({ deal: 1, requestedBy: 1, createdAt: -1 })
+
+module.exports = mongoose.model("DealExport", DealExportSchema)
@@ -1,5 +1,76 @@
 const mongoose = require("mongoose")
 
+// Someone who has to sign an agreement, and their signature once they have
+const SignerSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Name typed by the signer as their signature
+    typedName: {
+      type: String,
+      trim: true,
+    },
+    signedAt: {
+      type: Date,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    // SHA-256 of the file the signer signed
+    hash: {
+      type: String,
+    },
+  },
+  { _id: false },
+)
+
+// A document that has to be signed before the deal can close (see
+// utils/agreements.js). Signers sign in the order they are listed.
+const AgreementSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["pending", "signed"],
+      default: "pending",
+    },
+    signers: {
+      type: [SignerSchema],
+      validate: [(signers) => signers.length > 0, "An agreement needs at least one signer"],
+    },
+    // SHA-256 of the file when signatures were requested
+    hash: {
+      type: String,
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // The PDF with the signature certificate page added, once everyone signed
+    signedFileName: {
+      type: String,
+    },
+    signedHash: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { _id: false },
+)
+
 const DocumentSchema = new mongoose.Schema({
   deal: {
     type: mongoose.Schema.Types.ObjectId,
@@ -32,11 +103,14 @@ const DocumentSchema = new mongoose.Schema({
     enum: ["all", "buyer", "seller"],
     default: "all",
   },
+  agreement: AgreementSchema,
   createdAt: {
     type: Date,
     default: Date.now,
   },
 })
 
+DocumentSchema.index({ deal: 1, "agreement.status": 1 })
+
 module.exports = mongoose.model("Document", DocumentSchema)
 
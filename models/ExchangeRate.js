@@ -0,0 +1,28 @@
+const mongoose = require("mongoose")
+
+// How many units of a currency one unit of the base currency buys (see
+// BASE_CURRENCY in utils/money.js). Managed by admins.
+const ExchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, "Please provide a currency"],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  rate: {
+    type: Number,
+    required: [true, "Please provide a rate"],
+    min: [0, "Rate cannot be negative"],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+module.exports = mongoose.model("ExchangeRate", ExchangeRateSchema)
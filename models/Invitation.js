@@ -0,0 +1,80 @@
+const mongoose = require("mongoose")
+
+const InvitationSchema = new mongoose.Schema({
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+    required: true,
+  },
+  email: {
+    type: String,
+    required: [true, "Please provide an email"],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please provide a valid email"],
+  },
+  // "counterparty" makes the invitee the deal's seller; any other role adds
+  // them to the participants list
+  role: {
+    type: String,
+    enum: ["counterparty", "co-buyer", "co-seller", "advisor", "lawyer", "lender", "observer"],
+    default: "counterparty",
+  },
+  // Side of the deal a participant invitee joins, checked when inviting
+  side: {
+    type: String,
+    enum: ["buyer", "seller"],
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Message cannot be more than 1000 characters"],
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "revoked"],
+    default: "pending",
+  },
+  // Changes on every resend so earlier links stop working
+  nonce: {
+    type: String,
+    select: false,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  sentAt: {
+    type: Date,
+  },
+  sendCount: {
+    type: Number,
+    default: 0,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+InvitationSchema.index({ deal: 1, status: 1 })
+
+InvitationSchema.methods.isExpired = function () {
+  return this.expiresAt <= Date.now()
+}
+
+module.exports = mongoose.model("Invitation", InvitationSchema)
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose")
+
+// Accounts in a deal's escrow ledger. "buyer" and "seller" stand for money
+// outside the platform; "available" and "held" are the escrow itself.
+const ACCOUNTS = ["buyer", "available", "held", "seller"]
+
+const EntrySchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: ACCOUNTS,
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"],
+    },
+  },
+  { _id: false },
+)
+
+// One double-entry transaction in a deal's escrow ledger. Transactions are
+// never changed once written; mistakes are corrected by new transactions.
+const LedgerTransactionSchema = new mongoose.Schema({
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["deposit", "hold", "release", "refund"],
+    required: true,
+  },
+  // Minor units of currency, the deal's currency when it was written
+  amount: {
+    type: Number,
+    required: [true, "Please provide an amount"],
+    min: [0, "Amount cannot be negative"],
+    validate: [Number.isInteger, "Amount must be a whole number of minor units"],
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  entries: {
+    type: [EntrySchema],
+    required: true,
+  },
+  memo: {
+    type: String,
+    trim: true,
+  },
+  // Payment provider that moved the money, for deposits, releases and refunds
+  provider: {
+    type: String,
+  },
+  providerRef: {
+    type: String,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+LedgerTransactionSchema.index({ deal: 1, createdAt: 1 })
+
+// Debits and credits must balance
+LedgerTransactionSchema.pre("validate", function (next) {
+  const total = (direction) =>
+    this.entries.filter((entry) => entry.direction === direction).reduce((sum, entry) => sum + entry.amount, 0)
+
+  if (this.entries.length < 2 || total("debit") !== total("credit")) {
+    return next(new Error("Ledger entries must balance"))
+  }
+
+  next()
+})
+
+// Current balance of each account in a deal's ledger (debits minus credits),
+// plus running totals per transaction type
+LedgerTransactionSchema.statics.balancesFor = async function (dealId) {
+  const transactions = await this.find({ deal: dealId }).select("type amount entries").lean()
+  const balances = Object.fromEntries(ACCOUNTS.map((account) => [account, 0]))
+  const totals = { deposit: 0, hold: 0, release: 0, refund: 0 }
+
+  transactions.forEach((transaction) => {
+    totals[transaction.type] += transaction.amount
+
+    transaction.entries.forEach((entry) => {
+      balances[entry.account] += entry.direction === "debit" ? entry.amount : -entry.amount
+    })
+  })
+
+  return {
+    available: balances.available,
+    held: balances.held,
+    released: balances.seller,
+    deposited: totals.deposit,
+    refunded: totals.refund,
+  }
+}
+
+module.exports = mongoose.model("LedgerTransaction", LedgerTransactionSchema)
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { BASE_CURRENCY, isCurrency } = require("../utils/money")
 
 const ListingSchema = new mongoose.Schema({
   title: {
@@ -12,9 +13,20 @@ const ListingSchema = new mongoose.Schema({
     required: [true, "Please provide a description"],
     trim: true,
   },
+  // Minor units of currency (cents for USD), see utils/money.js
   price: {
     type: Number,
     required: [true, "Please provide a price"],
+    min: [0, "Price cannot be negative"],
+    validate: [Number.isInteger, "Price must be a whole number of minor units"],
+  },
+  currency: {
+    type: String,
+    required: [true, "Please provide a currency"],
+    uppercase: true,
+    trim: true,
+    default: BASE_CURRENCY,
+    validate: [isCurrency, "{VALUE} is not an ISO 4217 currency code"],
   },
   category: {
     type: String,
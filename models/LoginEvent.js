@@ -0,0 +1,41 @@
+const mongoose = require("mongoose")
+
+const LoginEventSchema = new mongoose.Schema({
+  // Missing when the email did not match any account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  method: {
+    type: String,
+    enum: ["password", "admin", "2fa", "oidc"],
+    required: true,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  // Why a failed attempt was rejected
+  reason: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+LoginEventSchema.index({ user: 1, createdAt: -1 })
+
+module.exports = mongoose.model("LoginEvent", LoginEventSchema)
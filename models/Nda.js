@@ -0,0 +1,42 @@
+const mongoose = require("mongoose")
+
+// One version of a deal's NDA. Changing the text adds a new version, which
+// everyone has to accept again; old versions are kept so past acceptances
+// can be checked against the text that was accepted.
+const NdaSchema = new mongoose.Schema({
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  text: {
+    type: String,
+    required: [true, "Please provide the NDA text"],
+  },
+  // SHA-256 of the text
+  hash: {
+    type: String,
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Set when a newer version replaces this one or the NDA is removed
+  retiredAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+NdaSchema.index({ deal: 1, version: -1 }, { unique: true })
+
+module.exports = mongoose.model("Nda", NdaSchema)
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose")
+
+// A user's click-through acceptance of one NDA version
+const NdaAcceptanceSchema = new mongoose.Schema({
+  nda: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Nda",
+    required: true,
+  },
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  // SHA-256 of the text that was accepted
+  hash: {
+    type: String,
+    required: true,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  acceptedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+NdaAcceptanceSchema.index({ nda: 1, user: 1 }, { unique: true })
+NdaAcceptanceSchema.index({ deal: 1, acceptedAt: -1 })
+
+module.exports = mongoose.model("NdaAcceptance", NdaAcceptanceSchema)
@@ -8,7 +8,7 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["deal", "message", "price", "document", "status"],
+    enum: ["deal", "message", "price", "document", "status", "participant", "task", "escrow", "auction", "export", "nda", "signature", "organization"],
     required: true,
   },
   content: {
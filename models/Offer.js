@@ -0,0 +1,77 @@
+const mongoose = require("mongoose")
+
+const OfferSchema = new mongoose.Schema({
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // The side of the deal making the offer; the other side answers it
+  side: {
+    type: String,
+    enum: ["buyer", "seller"],
+    required: true,
+  },
+  // Minor units of the deal's currency
+  amount: {
+    type: Number,
+    required: [true, "Please provide an amount"],
+    min: [0, "Amount cannot be negative"],
+    validate: [Number.isInteger, "Amount must be a whole number of minor units"],
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  terms: {
+    type: String,
+    trim: true,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  status: {
+    type: String,
+    enum: ["open", "countered", "accepted", "rejected", "withdrawn", "expired"],
+    default: "open",
+  },
+  // The offer this one counters
+  counters: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Offer",
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  respondedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+OfferSchema.index({ deal: 1, createdAt: -1 })
+
+// Update the updatedAt field before saving
+OfferSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+OfferSchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt) && this.expiresAt <= Date.now()
+}
+
+module.exports = mongoose.model("Offer", OfferSchema)
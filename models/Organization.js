@@ -0,0 +1,36 @@
+const mongoose = require("mongoose")
+
+const OrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please provide an organization name"],
+    trim: true,
+    maxlength: [100, "Name cannot be more than 100 characters"],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Description cannot be more than 500 characters"],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Update the updatedAt field before saving
+OrganizationSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("Organization", OrganizationSchema)
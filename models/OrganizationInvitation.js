@@ -0,0 +1,42 @@
+const mongoose = require("mongoose")
+
+// An owner's invitation for an existing user to join their organization. The
+// user only becomes a member once they accept it.
+const OrganizationInvitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["owner", "member", "viewer"],
+    default: "member",
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined"],
+    default: "pending",
+  },
+  respondedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+OrganizationInvitationSchema.index({ user: 1, status: 1 })
+
+module.exports = mongoose.model("OrganizationInvitation", OrganizationInvitationSchema)
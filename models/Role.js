@@ -0,0 +1,42 @@
+const mongoose = require("mongoose")
+
+// Custom role defined by admins, granting a set of named permissions
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please provide a role name"],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, "Role name cannot be more than 50 characters"],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Description cannot be more than 500 characters"],
+  },
+  permissions: {
+    type: [String],
+    default: [],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Update the updatedAt field before saving
+RoleSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("Role", RoleSchema)
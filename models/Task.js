@@ -0,0 +1,79 @@
+const mongoose = require("mongoose")
+
+const TaskSchema = new mongoose.Schema({
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deal",
+    required: true,
+  },
+  title: {
+    type: String,
+    required: [true, "Please provide a title"],
+    trim: true,
+    maxlength: [200, "Title cannot be more than 200 characters"],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Milestones mark key points of the deal (LOI signed, regulatory sign-off...)
+  kind: {
+    type: String,
+    enum: ["task", "milestone"],
+    default: "task",
+  },
+  status: {
+    type: String,
+    enum: ["todo", "in-progress", "done", "cancelled"],
+    default: "todo",
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  dueDate: {
+    type: Date,
+  },
+  // Tasks that must be done before this one can be
+  dependencies: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+    },
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  completedAt: {
+    type: Date,
+  },
+  // Set once an overdue reminder went out for the current due date
+  overdueNotifiedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+TaskSchema.index({ deal: 1, dueDate: 1 })
+TaskSchema.index({ status: 1, dueDate: 1, overdueNotifiedAt: 1 })
+
+// Update the updatedAt field before saving
+TaskSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+TaskSchema.methods.isOpen = function () {
+  return this.status === "todo" || this.status === "in-progress"
+}
+
+module.exports = mongoose.model("Task", TaskSchema)
@@ -1,6 +1,27 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 
+const StatusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["active", "suspended"],
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -20,6 +41,10 @@ const UserSchema = new mongoose.Schema({
     minlength: [6, "Password must be at least 6 characters"],
     select: false,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
   role: {
     type: String,
     enum: ["buyer", "seller", "admin"],
@@ -30,6 +55,22 @@ const UserSchema = new mongoose.Schema({
     enum: ["active", "suspended"],
     default: "active",
   },
+  statusHistory: [StatusChangeSchema],
+  // Admin-defined roles granting permissions on top of the built-in role
+  customRoles: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Role",
+    },
+  ],
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  organizationRole: {
+    type: String,
+    enum: ["owner", "member", "viewer"],
+  },
   profileImage: {
     type: String,
     default: "https://example.com/default-avatar.png",
@@ -55,8 +96,35 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Hashes of unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // Identity provider account the user last signed in with
+  sso: {
+    issuer: String,
+    subject: String,
+  },
+  // Bumped to invalidate every access token issued to the user
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
 });
 
+// Single sign-on logins look users up by their provider identity
+UserSchema.index({ "sso.issuer": 1, "sso.subject": 1 });
+
 // Encrypt password using bcrypt
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -5,28 +5,92 @@ const User = require("../models/User")
 const Deal = require("../models/Deal")
 const Message = require("../models/Message")
 const Document = require("../models/Document")
-const { protect, authorize } = require("../middleware/auth")
+const Auction = require("../models/Auction")
+const DealExport = require("../models/DealExport")
+const Invitation = require("../models/Invitation")
+const LedgerTransaction = require("../models/LedgerTransaction")
+const Nda = require("../models/Nda")
+const NdaAcceptance = require("../models/NdaAcceptance")
+const Offer = require("../models/Offer")
+const Task = require("../models/Task")
+const { protect, requirePermission } = require("../middleware/auth")
 const path = require("path")
 const fs = require("fs")
 const Notification = require("../models/Notification")
+const { revokeAllForUser } = require("../utils/tokens")
+const { suspendUser, unsuspendUser } = require("../utils/suspension")
+const { ACTIVE_STATUSES } = require("../utils/dealStateMachine")
+const { recordDealEvent } = require("../utils/dealEvents")
+const { getBalances } = require("../utils/escrow")
+const { findDealsPage, sendDealsPage } = require("../utils/dealQuery")
+const Role = require("../models/Role")
+const ExchangeRate = require("../models/ExchangeRate")
+const CustomField = require("../models/CustomField")
+const { parseFieldDefinition } = require("../utils/customFields")
+const { BASE_CURRENCY, isCurrency, normalizeCurrency } = require("../utils/money")
+const { getRates, convert } = require("../utils/exchangeRates")
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  PARTICIPANT_PERMISSIONS,
+  ORGANIZATION_PERMISSIONS,
+  isValidPermission,
+  clearRoleCache,
+} = require("../utils/permissions")
 
 // @route   GET /api/admin/stats
-// @desc    Get admin dashboard stats
+// @desc    Get admin dashboard stats (deal values in ?currency, default BASE_CURRENCY)
 // @access  Private/Admin
-router.get("/stats", protect, authorize("admin"), async (req, res) => {
+router.get("/stats", protect, requirePermission("admin.viewStats"), async (req, res) => {
   try {
+    const currency = normalizeCurrency(req.query.currency)
+    const rates = await getRates()
+
+    if (!rates[currency]) {
+      return res.status(400).json({ message: `There is no exchange rate for ${currency}` })
+    }
+
     // Get counts
     const totalDeals = await Deal.countDocuments()
     const activeDeals = await Deal.countDocuments({
-      status: { $in: ["pending", "in-progress"] },
+      status: { $in: ACTIVE_STATUSES },
     })
-    const completedDeals = await Deal.countDocuments({ status: "completed" })
+    const completedDeals = await Deal.countDocuments({ status: "closed" })
     const cancelledDeals = await Deal.countDocuments({ status: "cancelled" })
 
     const totalUsers = await User.countDocuments()
     const buyers = await User.countDocuments({ role: "buyer" })
     const sellers = await User.countDocuments({ role: "seller" })
 
+    // Sum deal prices per currency, then convert the sums. Currencies without an
+    // exchange rate are left out of the totals and listed as unconverted.
+    const sums = await Deal.aggregate([
+      {
+        $group: {
+          _id: "$currency",
+          total: { $sum: "$price" },
+          active: { $sum: { $cond: [{ $in: ["$status", ACTIVE_STATUSES] }, "$price", 0] } },
+          completed: { $sum: { $cond: [{ $eq: ["$status", "closed"] }, "$price", 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ])
+
+    const dealValue = { currency, total: 0, active: 0, completed: 0, byCurrency: [], unconverted: [] }
+
+    sums.forEach(({ _id: code, total, active, completed }) => {
+      dealValue.byCurrency.push({ currency: code, total, active, completed })
+
+      if (!rates[code]) {
+        dealValue.unconverted.push(code)
+        return
+      }
+
+      dealValue.total += convert(total, code, currency, rates)
+      dealValue.active += convert(active, code, currency, rates)
+      dealValue.completed += convert(completed, code, currency, rates)
+    })
+
     res.json({
       totalDeals,
       activeDeals,
@@ -35,6 +99,7 @@ router.get("/stats", protect, authorize("admin"), async (req, res) => {
       totalUsers,
       buyers,
       sellers,
+      dealValue,
     })
   } catch (err) {
     console.error(err.message)
@@ -45,7 +110,7 @@ router.get("/stats", protect, authorize("admin"), async (req, res) => {
 // @route   GET /api/admin/deals-by-status
 // @desc    Get deals grouped by status for pie chart
 // @access  Private/Admin
-router.get("/deals-by-status", protect, authorize("admin"), async (req, res) => {
+router.get("/deals-by-status", protect, requirePermission("admin.viewStats"), async (req, res) => {
   try {
     const dealsByStatus = await Deal.aggregate([
       {
@@ -73,7 +138,7 @@ router.get("/deals-by-status", protect, authorize("admin"), async (req, res) =>
 // @route   GET /api/admin/deals-over-time
 // @desc    Get deals created over time for line chart
 // @access  Private/Admin
-router.get("/deals-over-time", protect, authorize("admin"), async (req, res) => {
+router.get("/deals-over-time", protect, requirePermission("admin.viewStats"), async (req, res) => {
   try {
     // Get deals created in the last 30 days
     const thirtyDaysAgo = new Date()
@@ -112,7 +177,7 @@ router.get("/deals-over-time", protect, authorize("admin"), async (req, res) =>
 // @route   GET /api/admin/user-activity
 // @desc    Get user activity for bar chart
 // @access  Private/Admin
-router.get("/user-activity", protect, authorize("admin"), async (req, res) => {
+router.get("/user-activity", protect, requirePermission("admin.viewStats"), async (req, res) => {
   try {
     // Get top 10 users by activity
     const users = await User.find().limit(10)
@@ -153,7 +218,7 @@ router.get("/user-activity", protect, authorize("admin"), async (req, res) => {
 // @route   GET /api/admin/users
 // @desc    Get all users
 // @access  Private/Admin
-router.get("/users", protect, authorize("admin"), async (req, res) => {
+router.get("/users", protect, requirePermission("user.view"), async (req, res) => {
   try {
     const users = await User.find().select("-password").sort({ createdAt: -1 })
 
@@ -185,9 +250,9 @@ router.get("/users", protect, authorize("admin"), async (req, res) => {
 // @route   PUT /api/admin/users/:id/status
 // @desc    Update user status (active/suspended)
 // @access  Private/Admin
-router.put("/users/:id/status", protect, authorize("admin"), async (req, res) => {
+router.put("/users/:id/status", protect, requirePermission("user.manageStatus"), async (req, res) => {
   try {
-    const { status } = req.body
+    const { status, reason } = req.body
 
     if (!["active", "suspended"].includes(status)) {
       return res.status(400).json({ message: "Invalid status" })
@@ -204,8 +269,25 @@ router.put("/users/:id/status", protect, authorize("admin"), async (req, res) =>
       return res.status(403).json({ message: "Cannot suspend admin users" })
     }
 
-    user.status = status
-    await user.save()
+    if (user.status === status) {
+      return res.status(400).json({ message: `User is already ${status}` })
+    }
+
+    if (status === "suspended") {
+      await suspendUser(user, {
+        admin: req.user,
+        reason,
+        io: req.app.get("io"),
+        redisClient: req.app.get("redisClient"),
+      })
+    } else {
+      // Reinstating an account must be justified
+      if (!reason) {
+        return res.status(400).json({ message: "Please provide a reason for reactivating this user" })
+      }
+
+      await unsuspendUser(user, { admin: req.user, reason })
+    }
 
     res.json({
       _id: user._id,
@@ -213,6 +295,336 @@ router.put("/users/:id/status", protect, authorize("admin"), async (req, res) =>
       email: user.email,
       role: user.role,
       status: user.status,
+      statusHistory: user.statusHistory,
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/admin/users/:id/revoke-tokens
+// @desc    Revoke all access and refresh tokens of a user (e.g. lost device)
+// @access  Private/Admin
+router.post("/users/:id/revoke-tokens", protect, requirePermission("user.revokeTokens"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    await revokeAllForUser(req.app.get("redisClient"), user._id)
+
+    // Drop any live socket connections opened with the old tokens
+    req.app.get("io").in(`user:${user._id}`).disconnectSockets(true)
+
+    res.json({ message: "User tokens revoked" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/admin/permissions
+// @desc    List all permissions and what the built-in roles grant
+// @access  Private/Admin
+router.get("/permissions", protect, requirePermission("role.manage"), (req, res) => {
+  res.json({
+    permissions: PERMISSIONS,
+    roles: ROLE_PERMISSIONS,
+    participantRoles: PARTICIPANT_PERMISSIONS,
+    organizationRoles: ORGANIZATION_PERMISSIONS,
+  })
+})
+
+// @route   GET /api/admin/roles
+// @desc    Get all custom roles
+// @access  Private/Admin
+router.get("/roles", protect, requirePermission("role.manage"), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 })
+
+    res.json(roles)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/admin/roles
+// @desc    Create a custom role
+// @access  Private/Admin
+router.post("/roles", protect, requirePermission("role.manage"), async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body
+
+    if (!name || ROLE_PERMISSIONS[name.toLowerCase()]) {
+      return res.status(400).json({ message: "Please provide a name that is not a built-in role" })
+    }
+
+    const invalid = permissions.filter((permission) => !isValidPermission(permission))
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Unknown permissions: ${invalid.join(", ")}` })
+    }
+
+    if (await Role.findOne({ name: name.toLowerCase() })) {
+      return res.status(400).json({ message: "Role already exists" })
+    }
+
+    const role = new Role({ name, description, permissions, createdBy: req.user.id })
+    await role.save()
+
+    clearRoleCache()
+
+    res.status(201).json(role)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/admin/roles/:id
+// @desc    Update a custom role
+// @access  Private/Admin
+router.put("/roles/:id", protect, requirePermission("role.manage"), async (req, res) => {
+  try {
+    const { description, permissions } = req.body
+
+    const role = await Role.findById(req.params.id)
+
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" })
+    }
+
+    if (permissions) {
+      const invalid = permissions.filter((permission) => !isValidPermission(permission))
+
+      if (invalid.length > 0) {
+        return res.status(400).json({ message: `Unknown permissions: ${invalid.join(", ")}` })
+      }
+
+      role.permissions = permissions
+    }
+
+    if (description !== undefined) role.description = description
+
+    await role.save()
+
+    clearRoleCache()
+
+    res.json(role)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/admin/roles/:id
+// @desc    Delete a custom role and unassign it from all users
+// @access  Private/Admin
+router.delete("/roles/:id", protect, requirePermission("role.manage"), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id)
+
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" })
+    }
+
+    await User.updateMany({ customRoles: role._id }, { $pull: { customRoles: role._id } })
+    await Role.findByIdAndDelete(role._id)
+
+    clearRoleCache()
+
+    res.json({ message: "Role deleted" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/admin/exchange-rates
+// @desc    Get the exchange rates, as units of each currency per unit of BASE_CURRENCY
+// @access  Private/Admin
+router.get("/exchange-rates", protect, requirePermission("exchangeRate.manage"), async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().populate("updatedBy", "name email").sort({ currency: 1 })
+
+    res.json({ base: BASE_CURRENCY, rates })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/admin/exchange-rates/:currency
+// @desc    Set the exchange rate for a currency ({ rate })
+// @access  Private/Admin
+router.put("/exchange-rates/:currency", protect, requirePermission("exchangeRate.manage"), async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency)
+    const rate = Number(req.body.rate)
+
+    if (!isCurrency(currency)) {
+      return res.status(400).json({ message: `${req.params.currency} is not an ISO 4217 currency code` })
+    }
+
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ message: `${BASE_CURRENCY} is the base currency; its rate is always 1` })
+    }
+
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({ message: "Rate must be a positive number" })
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rate, updatedBy: req.user._id, updatedAt: Date.now() } },
+      { new: true, upsert: true },
+    )
+
+    res.json(exchangeRate)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/admin/exchange-rates/:currency
+// @desc    Remove the exchange rate for a currency
+// @access  Private/Admin
+router.delete("/exchange-rates/:currency", protect, requirePermission("exchangeRate.manage"), async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: normalizeCurrency(req.params.currency) })
+
+    if (!exchangeRate) {
+      return res.status(404).json({ message: "Exchange rate not found" })
+    }
+
+    res.json({ message: "Exchange rate removed" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/admin/custom-fields
+// @desc    Get all custom deal fields
+// @access  Private/Admin
+router.get("/custom-fields", protect, requirePermission("customField.manage"), async (req, res) => {
+  try {
+    const fields = await CustomField.find().sort({ key: 1 })
+
+    res.json(fields)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/admin/custom-fields
+// @desc    Create a custom deal field ({ key, label, type: text|number|date|enum, options, required, dealTypes })
+// @access  Private/Admin
+router.post("/custom-fields", protect, requirePermission("customField.manage"), async (req, res) => {
+  try {
+    const { definition, message } = parseFieldDefinition(req.body)
+
+    if (message) {
+      return res.status(400).json({ message })
+    }
+
+    if (await CustomField.exists({ key: definition.key })) {
+      return res.status(400).json({ message: "Custom field already exists" })
+    }
+
+    const field = new CustomField({ ...definition, createdBy: req.user.id })
+    await field.save()
+
+    res.status(201).json(field)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/admin/custom-fields/:id
+// @desc    Update a custom deal field (its key and type cannot change)
+// @access  Private/Admin
+router.put("/custom-fields/:id", protect, requirePermission("customField.manage"), async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id)
+
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" })
+    }
+
+    const { definition, message } = parseFieldDefinition(req.body, field)
+
+    if (message) {
+      return res.status(400).json({ message })
+    }
+
+    Object.assign(field, definition)
+    await field.save()
+
+    res.json(field)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/admin/custom-fields/:id
+// @desc    Delete a custom deal field and its values on every deal
+// @access  Private/Admin
+router.delete("/custom-fields/:id", protect, requirePermission("customField.manage"), async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id)
+
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" })
+    }
+
+    await Deal.updateMany({}, { $unset: { [`customFields.${field.key}`]: "" } })
+    await CustomField.findByIdAndDelete(field._id)
+
+    res.json({ message: "Custom field deleted" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/admin/users/:id/roles
+// @desc    Set the custom roles of a user
+// @access  Private/Admin
+router.put("/users/:id/roles", protect, requirePermission("role.manage"), async (req, res) => {
+  try {
+    const { roles = [] } = req.body
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const found = await Role.countDocuments({ _id: { $in: roles } })
+
+    if (found !== roles.length) {
+      return res.status(400).json({ message: "One or more roles do not exist" })
+    }
+
+    user.customRoles = roles
+    await user.save()
+    await user.populate("customRoles", "name permissions")
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      customRoles: user.customRoles,
     })
   } catch (err) {
     console.error(err.message)
@@ -221,26 +633,40 @@ router.put("/users/:id/status", protect, authorize("admin"), async (req, res) =>
 })
 
 // @route   GET /api/admin/deals
-// @desc    Get all deals
+// @desc    Get all deals (filters, sorting and pagination: see utils/dealQuery.js)
 // @access  Private/Admin
-router.get("/deals", protect, authorize("admin"), async (req, res) => {
+router.get("/deals", protect, requirePermission("deal.viewAll"), async (req, res) => {
   try {
-    const deals = await Deal.find()
-      .populate("buyer", "name email")
-      .populate("seller", "name email")
-      .sort({ updatedAt: -1 })
+    const result = await findDealsPage(req.query, {
+      populate: [
+        ["buyer", "name email"],
+        ["seller", "name email"],
+      ],
+    })
 
-    res.json(deals)
+    if (result.message) {
+      return res.status(400).json({ message: result.message })
+    }
+
+    sendDealsPage(res, req.query, result)
   } catch (err) {
     console.error(err.message)
     res.status(500).json({ message: "Server Error" })
   }
 })
 
+// Remove an uploaded file if it is still there
+const removeUpload = (...segments) => {
+  const filePath = path.join(__dirname, "../uploads", ...segments)
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath)
+  }
+}
+
 // @route   DELETE /api/admin/deals/:id
-// @desc    Delete a deal
+// @desc    Delete a deal and everything that belongs to it (refused while money is in escrow)
 // @access  Private/Admin
-router.delete("/deals/:id", protect, authorize("admin"), async (req, res) => {
+router.delete("/deals/:id", protect, requirePermission("deal.delete"), async (req, res) => {
   try {
     const deal = await Deal.findById(req.params.id)
 
@@ -248,6 +674,13 @@ router.delete("/deals/:id", protect, authorize("admin"), async (req, res) => {
       return res.status(404).json({ message: "Deal not found" })
     }
 
+    // Money still in escrow has to be released or refunded first
+    const balances = await getBalances(deal)
+
+    if (balances.available > 0 || balances.held > 0) {
+      return res.status(409).json({ message: "Release or refund the money in escrow before deleting this deal" })
+    }
+
     // Delete all messages related to the deal
     await Message.deleteMany({ deal: deal._id })
 
@@ -255,22 +688,50 @@ router.delete("/deals/:id", protect, authorize("admin"), async (req, res) => {
     const documents = await Document.find({ deal: deal._id })
 
     for (const doc of documents) {
-      // Delete file from filesystem
-      const filePath = path.join(__dirname, "../uploads", doc.fileName)
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath)
+      // Delete files from filesystem
+      removeUpload(doc.fileName)
+
+      if (doc.agreement && doc.agreement.signedFileName) {
+        removeUpload(doc.agreement.signedFileName)
       }
 
       // Delete document record
       await Document.findByIdAndDelete(doc._id)
     }
 
+    // Delete closing binders built for the deal
+    const dealExports = await DealExport.find({ deal: deal._id })
+
+    for (const dealExport of dealExports) {
+      if (dealExport.fileName) {
+        removeUpload("exports", dealExport.fileName)
+      }
+    }
+
+    await DealExport.deleteMany({ deal: deal._id })
+
+    // Delete the deal's offers, tasks, invitations, NDAs and escrow ledger
+    await Offer.deleteMany({ deal: deal._id })
+    await Task.deleteMany({ deal: deal._id })
+    await Invitation.deleteMany({ deal: deal._id })
+    await NdaAcceptance.deleteMany({ deal: deal._id })
+    await Nda.deleteMany({ deal: deal._id })
+    await LedgerTransaction.deleteMany({ deal: deal._id })
+
+    // Auctions belong to their listing; only forget the deal they created
+    await Auction.updateMany({ deal: deal._id }, { $unset: { deal: "" } })
+
     // Delete notifications related to the deal
     await Notification.deleteMany({ dealId: deal._id })
 
     // Delete the deal
     await Deal.findByIdAndDelete(req.params.id)
 
+    // The timeline is kept so the deal's history survives its deletion
+    await recordDealEvent(deal, req.user, "deal.deleted", {
+      before: { title: deal.title, status: deal.status, price: deal.price, buyer: deal.buyer, seller: deal.seller },
+    })
+
     res.json({ message: "Deal deleted successfully" })
   } catch (err) {
     console.error(err.message)
@@ -0,0 +1,186 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const path = require("path")
+const fs = require("fs")
+const Deal = require("../models/Deal")
+const Document = require("../models/Document")
+const { protect, protectWithScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { canAccessDocument } = require("../utils/dealAccess")
+const { checkNdaAccepted } = require("../utils/nda")
+const { deviceFromRequest } = require("../utils/sessions")
+const { requestSignatures, cancelSignatures, signAgreement } = require("../utils/agreements")
+
+// Load the deal and one of its documents. Returns { deal, document }, or sends
+// the error response and returns {}.
+const loadDocument = async (req, res) => {
+  const deal = await Deal.findById(req.params.id)
+
+  if (!deal) {
+    res.status(404).json({ message: "Deal not found" })
+    return {}
+  }
+
+  const document = await Document.findOne({ _id: req.params.documentId, deal: deal._id })
+
+  if (!document) {
+    res.status(404).json({ message: "Document not found" })
+    return {}
+  }
+
+  return { deal, document }
+}
+
+// @route   GET /api/deals/:id/agreements
+// @desc    Get the deal's agreements and who has signed them
+// @access  Private (API key scope: documents:read)
+router.get("/", protectWithScope("documents:read"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "document.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to view documents for this deal" })
+    }
+
+    const ndaRefusal = await checkNdaAccepted(deal, req.user)
+
+    if (ndaRefusal) {
+      return res.status(ndaRefusal.status).json({ message: ndaRefusal.message, ndaVersion: ndaRefusal.version })
+    }
+
+    const documents = await Document.find({ deal: deal._id, agreement: { $exists: true } })
+      .populate("agreement.signers.user", "name email")
+      .sort({ "agreement.requestedAt": 1 })
+
+    res.json(documents.filter((document) => canAccessDocument(deal, req.user, document)))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/deals/:id/agreements/:documentId
+// @desc    Mark a PDF document as an agreement to sign ({ signers: [userId] } in signing order)
+// @access  Private (API key scope: documents:write)
+router.put("/:documentId", protectWithScope("documents:write"), async (req, res) => {
+  try {
+    const { deal, document } = await loadDocument(req, res)
+
+    if (!document) {
+      return
+    }
+
+    const result = await requestSignatures(deal, req.user, document, req.body.signers, { io: req.app.get("io") })
+
+    if (!result.document) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.json(result.document)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/deals/:id/agreements/:documentId
+// @desc    Withdraw a signature request nobody has signed yet
+// @access  Private (API key scope: documents:write)
+router.delete("/:documentId", protectWithScope("documents:write"), async (req, res) => {
+  try {
+    const { deal, document } = await loadDocument(req, res)
+
+    if (!document) {
+      return
+    }
+
+    const result = await cancelSignatures(deal, req.user, document, { io: req.app.get("io") })
+
+    if (!result.document) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.json({ message: "Signature request withdrawn" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/agreements/:documentId/sign
+// @desc    Sign an agreement by typing your name ({ typedName })
+// @access  Private
+router.post("/:documentId/sign", protect, async (req, res) => {
+  try {
+    const { deal, document } = await loadDocument(req, res)
+
+    if (!document) {
+      return
+    }
+
+    const result = await signAgreement(
+      deal,
+      req.user,
+      document,
+      { typedName: req.body.typedName, ...deviceFromRequest(req) },
+      { io: req.app.get("io") },
+    )
+
+    if (!result.document) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.json(result.document)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/deals/:id/agreements/:documentId/signed
+// @desc    Download the signed agreement with its signature certificate page
+// @access  Private (API key scope: documents:read)
+router.get("/:documentId/signed", protectWithScope("documents:read"), async (req, res) => {
+  try {
+    const { deal, document } = await loadDocument(req, res)
+
+    if (!document) {
+      return
+    }
+
+    if (!(await can(req.user, "document.download", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to download this document" })
+    }
+
+    const ndaRefusal = await checkNdaAccepted(deal, req.user)
+
+    if (ndaRefusal) {
+      return res.status(ndaRefusal.status).json({ message: ndaRefusal.message, ndaVersion: ndaRefusal.version })
+    }
+
+    if (!canAccessDocument(deal, req.user, document)) {
+      return res.status(403).json({ message: "You do not have permission to access this document" })
+    }
+
+    if (!document.agreement || document.agreement.status !== "signed") {
+      return res.status(404).json({ message: "This agreement has not been signed by everyone yet" })
+    }
+
+    const filePath = path.join(__dirname, "../uploads", document.agreement.signedFileName)
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: "File not found" })
+    }
+
+    res.download(filePath, `${path.parse(document.originalName).name} (signed).pdf`)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
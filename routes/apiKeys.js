@@ -0,0 +1,114 @@
+const express = require("express")
+const router = express.Router()
+const ApiKey = require("../models/ApiKey")
+const { protect } = require("../middleware/auth")
+const { SCOPES, DEFAULT_RATE_LIMIT, MAX_RATE_LIMIT, createApiKey } = require("../utils/apiKeys")
+const { can } = require("../utils/permissions")
+
+const canManageOrgKeys = (user) =>
+  Boolean(user.organization) && can(user, "organization.manageApiKeys", { organization: user.organization })
+
+// Keys the user can manage: their own, plus their organization's if allowed
+const manageableKeysQuery = async (user) => {
+  const query = { $or: [{ user: user._id, organization: null }] }
+
+  if (await canManageOrgKeys(user)) {
+    query.$or.push({ organization: user.organization })
+  }
+
+  return query
+}
+
+// @route   GET /api/api-keys
+// @desc    List API keys of the current user (and their organization, for owners)
+// @access  Private
+router.get("/", protect, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find(await manageableKeysQuery(req.user))
+      .populate("user", "name email")
+      .sort({ createdAt: -1 })
+
+    res.json(apiKeys)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/api-keys/scopes
+// @desc    List the scopes an API key can be granted
+// @access  Private
+router.get("/scopes", protect, (req, res) => {
+  res.json(SCOPES)
+})
+
+// @route   POST /api/api-keys
+// @desc    Create an API key (the key is only returned once; rateLimit per 15 minutes, above the default for admins only)
+// @access  Private
+router.post("/", protect, async (req, res) => {
+  try {
+    const { name, scopes, organization, rateLimit, expiresAt } = req.body
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => SCOPES.includes(scope))) {
+      return res.status(400).json({ message: `Scopes must be a list of: ${SCOPES.join(", ")}` })
+    }
+
+    if (typeof name !== "string" || !name.trim() || name.trim().length > 100) {
+      return res.status(400).json({ message: "Please provide a name for the key (at most 100 characters)" })
+    }
+
+    if (rateLimit !== undefined) {
+      const maxRateLimit = (await can(req.user, "apiKey.raiseRateLimit")) ? MAX_RATE_LIMIT : DEFAULT_RATE_LIMIT
+
+      if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > maxRateLimit) {
+        return res.status(400).json({ message: `Rate limit must be a whole number between 1 and ${maxRateLimit}` })
+      }
+    }
+
+    // Only organization owners can create keys for their organization
+    if (organization && !(await canManageOrgKeys(req.user))) {
+      return res.status(403).json({ message: "Only organization owners can create organization keys" })
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      user: req.user._id,
+      organization: organization ? req.user.organization : undefined,
+      scopes,
+      rateLimit,
+      expiresAt,
+    })
+
+    res.status(201).json({ ...apiKey.toObject(), keyHash: undefined, key })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete("/:id", protect, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, ...(await manageableKeysQuery(req.user)) })
+
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" })
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: "API key is already revoked" })
+    }
+
+    apiKey.revokedAt = Date.now()
+    await apiKey.save()
+
+    res.json({ message: "API key revoked" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
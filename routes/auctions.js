@@ -0,0 +1,144 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const Auction = require("../models/Auction")
+const Bid = require("../models/Bid")
+const Listing = require("../models/Listing")
+const { protect, protectWithScope, requirePermission, requireVerifiedEmail } = require("../middleware/auth")
+const {
+  isSeller,
+  viewAuction,
+  createAuction,
+  placeBid,
+  closeAuction,
+  cancelAuction,
+} = require("../utils/auctions")
+
+// The listing's running auction, or its most recent one
+const findAuction = async (listingId) =>
+  (await Auction.findOne({ listing: listingId, status: "open" })) ||
+  Auction.findOne({ listing: listingId }).sort({ createdAt: -1 })
+
+// @route   GET /api/listings/:id/auction
+// @desc    Get a listing's auction (sealed bids stay hidden until it closes)
+// @access  Private
+router.get("/", protect, async (req, res) => {
+  try {
+    const auction = await findAuction(req.params.id)
+
+    if (!auction) {
+      return res.status(404).json({ message: "This listing has no auction" })
+    }
+
+    res.json(await viewAuction(auction, req.user))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/listings/:id/auction
+// @desc    Start an auction ({ mode, reservePrice, startingPrice, minIncrement, rounds: [{ endsAt, shortlist }] },
+//          prices in minor units of the listing's currency; dealType, customFields and tags for the resulting deal)
+// @access  Private/Seller (API key scope: listings:write)
+router.post("/", protectWithScope("listings:write"), requirePermission("listing.manage"), async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id)
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" })
+    }
+
+    const result = await createAuction(listing, req.user, req.body, { io: req.app.get("io") })
+
+    if (!result.auction) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.status(201).json(await viewAuction(result.auction, req.user))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/listings/:id/auction/bids
+// @desc    Get your own bids, or every bid for the seller once they are no longer sealed
+// @access  Private
+router.get("/bids", protect, async (req, res) => {
+  try {
+    const auction = await findAuction(req.params.id)
+
+    if (!auction) {
+      return res.status(404).json({ message: "This listing has no auction" })
+    }
+
+    const query = { auction: auction._id }
+    const sealed = auction.mode === "sealed" && auction.status === "open"
+
+    if (sealed || !(await isSeller(auction, req.user))) {
+      query.bidder = req.user._id
+    }
+
+    const bids = await Bid.find(query).populate("bidder", "name email").sort({ amount: -1, createdAt: 1 })
+
+    res.json(bids)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/listings/:id/auction/bids
+// @desc    Place a bid ({ amount } in minor units of the listing's currency)
+// @access  Private/Buyer (API key scope: deals:write)
+router.post("/bids", protectWithScope("deals:write"), requireVerifiedEmail, async (req, res) => {
+  try {
+    const auction = await Auction.findOne({ listing: req.params.id, status: "open" })
+
+    if (!auction) {
+      return res.status(404).json({ message: "This listing has no auction running" })
+    }
+
+    const result = await placeBid(auction, req.user, req.body.amount, { io: req.app.get("io") })
+
+    if (!result.bid) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.status(201).json(result.bid)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/listings/:id/auction/:action
+// @desc    Close the auction now (the best bid wins) or cancel it
+// @access  Private/Seller (API key scope: listings:write)
+router.post("/:action(close|cancel)", protectWithScope("listings:write"), async (req, res) => {
+  try {
+    const auction = await Auction.findOne({ listing: req.params.id, status: "open" })
+
+    if (!auction) {
+      return res.status(404).json({ message: "This listing has no auction running" })
+    }
+
+    if (!(await isSeller(auction, req.user))) {
+      return res.status(403).json({ message: "Not authorized to manage this auction" })
+    }
+
+    const action = req.params.action === "close" ? closeAuction : cancelAuction
+    const result = await action(auction, { io: req.app.get("io") })
+
+    if (!result.auction) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.json(await viewAuction(result.auction, req.user))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
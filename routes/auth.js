@@ -1,15 +1,49 @@
 const express = require("express")
 const router = express.Router()
-const jwt = require("jsonwebtoken")
 const User = require("../models/User")
 const { protect } = require("../middleware/auth")
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+  revokeFamily,
+  signChallengeToken,
+  verifyChallengeToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signPasswordResetToken,
+  verifyPasswordResetToken,
+  signTwoFactorEnrollmentToken,
+  verifyTwoFactorEnrollmentToken,
+} = require("../utils/tokens")
+const {
+  generateSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  isTwoFactorRequired,
+} = require("../utils/twoFactor")
+const {
+  isOidcConfigured,
+  createAuthorizationUrl,
+  setStateCookie,
+  checkStateCookie,
+  handleCallback,
+  findOrProvisionUser,
+} = require("../utils/oidc")
+const { checkLoginLock, recordLoginEvent, registerFailedLogin, registerSuccessfulLogin } = require("../utils/loginSecurity")
+const { deviceFromRequest, getSession, listSessions } = require("../utils/sessions")
+const { sendMail } = require("../utils/mail")
+const { verificationEmail, passwordResetEmail, twoFactorEnrollmentEmail } = require("../utils/mail/templates")
+const { findInvitationByToken, acceptInvitation } = require("../utils/invitations")
 
 // @route   POST /api/auth/register
 // @desc    Register a user
 // @access  Public
 router.post("/register", async (req, res) => {
   try {
-    const { name, email, password, role } = req.body
+    const { name, email, password, role, inviteToken } = req.body
 
     // Check if user already exists
     let user = await User.findOne({ email })
@@ -18,27 +52,70 @@ router.post("/register", async (req, res) => {
       return res.status(400).json({ message: "User already exists" })
     }
 
-    // Create user - only allow buyer or seller roles through registration
+    // Registering from a deal invitation link
+    let invitation = null
+
+    if (inviteToken) {
+      const found = await findInvitationByToken(inviteToken)
+
+      if (!found.invitation) {
+        return res.status(found.status).json({ message: found.message })
+      }
+
+      if (!email || found.invitation.email !== email.toLowerCase()) {
+        return res.status(400).json({ message: "Please register with the email address the invitation was sent to" })
+      }
+
+      invitation = found.invitation
+    }
+
+    // Create user - only allow buyer or seller roles through registration.
+    // Counterparty invitations make the invitee a deal's seller.
+    const isCounterparty = Boolean(invitation && invitation.role === "counterparty")
+
     user = new User({
       name,
       email,
       password,
-      role: role === "seller" ? "seller" : "buyer", // Restrict to buyer or seller only
+      role: role === "seller" || isCounterparty ? "seller" : "buyer", // Restrict to buyer or seller only
     })
 
+    // The invitation link already proves the user owns the address
+    if (invitation) {
+      user.emailVerified = true
+    }
+
     await user.save()
 
-    // Create token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "30d" })
+    let dealId
+
+    if (invitation) {
+      const accepted = await acceptInvitation(invitation, user, { io: req.app.get("io") })
+
+      // The account stays even if the deal moved on in the meantime
+      if (accepted.deal) {
+        dealId = accepted.deal._id
+      }
+    } else {
+      // Send the email verification link (the user can ask for another one)
+      sendMail(verificationEmail(user, signEmailVerificationToken(user))).catch((err) =>
+        console.error("Error sending verification email:", err.message),
+      )
+    }
+
+    // Create access and refresh tokens
+    const { token, refreshToken } = await issueTokens(req.app.get("redisClient"), user, { device: deviceFromRequest(req) })
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
       },
+      dealId,
     })
   } catch (err) {
     console.error(err.message)
@@ -53,15 +130,27 @@ router.post("/login", async (req, res) => {
   try {
     const { email, password } = req.body
 
+    // Refuse attempts while the account or IP is locked out
+    const lock = await checkLoginLock(req.app.get("redisClient"), { email: email, ip: req.ip })
+
+    if (lock.locked) {
+      res.set("Retry-After", String(lock.retryAfter))
+      return res.status(429).json({
+        message: `Too many failed login attempts. Try again in ${lock.retryAfter} seconds`,
+      })
+    }
+
     // Check for user
     const user = await User.findOne({ email }).select("+password")
 
     if (!user) {
+      await registerFailedLogin(req, { email, method: "password", reason: "unknown_user" })
       return res.status(401).json({ message: "Invalid credentials" })
     }
 
     // Prevent admin login through regular login
     if (user.role === "admin") {
+      await registerFailedLogin(req, { user, method: "password", reason: "admin_on_user_login" })
       return res.status(401).json({ message: "Invalid credentials" })
     }
 
@@ -69,14 +158,31 @@ router.post("/login", async (req, res) => {
     const isMatch = await user.matchPassword(password)
 
     if (!isMatch) {
+      await registerFailedLogin(req, { user, method: "password", reason: "wrong_password" })
       return res.status(401).json({ message: "Invalid credentials" })
     }
 
-    // Create token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "30d" })
+    if (user.status === "suspended") {
+      await recordLoginEvent(req, { user, method: "password", success: false, reason: "suspended" })
+      return res.status(403).json({ message: "Your account has been suspended" })
+    }
+
+    // Ask for the second factor before issuing tokens
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user),
+      })
+    }
+
+    await registerSuccessfulLogin(req, { user, method: "password" })
+
+    // Create access and refresh tokens
+    const { token, refreshToken } = await issueTokens(req.app.get("redisClient"), user, { device: deviceFromRequest(req) })
 
     res.json({
       token,
+      refreshToken,
       user: {
         _id: user._id,
         name: user.name,
@@ -97,15 +203,27 @@ router.post("/admin-login", async (req, res) => {
   try {
     const { email, password } = req.body
 
+    // Refuse attempts while the account or IP is locked out
+    const lock = await checkLoginLock(req.app.get("redisClient"), { email: email, ip: req.ip })
+
+    if (lock.locked) {
+      res.set("Retry-After", String(lock.retryAfter))
+      return res.status(429).json({
+        message: `Too many failed login attempts. Try again in ${lock.retryAfter} seconds`,
+      })
+    }
+
     // Check for user
-    const user = await User.findOne({ email }).select("+password")
+    const user = await User.findOne({ email }).select("+password +twoFactorSecret")
 
     if (!user) {
+      await registerFailedLogin(req, { email, method: "admin", reason: "unknown_user" })
       return res.status(401).json({ message: "Invalid admin credentials" })
     }
 
     // Ensure user is an admin
     if (user.role !== "admin") {
+      await registerFailedLogin(req, { user, method: "admin", reason: "not_admin" })
       return res.status(401).json({ message: "Not authorized as admin" })
     }
 
@@ -113,21 +231,508 @@ router.post("/admin-login", async (req, res) => {
     const isMatch = await user.matchPassword(password)
 
     if (!isMatch) {
+      await registerFailedLogin(req, { user, method: "admin", reason: "wrong_password" })
       return res.status(401).json({ message: "Invalid admin credentials" })
     }
 
-    // Create token with admin flag
-    const token = jwt.sign(
-      {
-        id: user._id,
-        isAdmin: true,
+    if (user.status === "suspended") {
+      await recordLoginEvent(req, { user, method: "admin", success: false, reason: "suspended" })
+      return res.status(403).json({ message: "Your account has been suspended" })
+    }
+
+    // Admins must always pass a second factor. The password alone doesn't
+    // get an admin who has not enrolled yet a secret: it is emailed to them
+    // as an enrollment link (see /admin-2fa/enroll).
+    if (!user.twoFactorEnabled) {
+      await sendMail(twoFactorEnrollmentEmail(user, signTwoFactorEnrollmentToken(user)))
+
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorSetupRequired: true,
+        message: "Check your email for a link to set up two-factor authentication",
+      })
+    }
+
+    res.json({
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user, { isAdmin: true }),
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/admin-2fa/enroll
+// @desc    Get a TOTP secret with the emailed enrollment link & a challenge to confirm it
+// @access  Public (enrollment token)
+router.post("/admin-2fa/enroll", async (req, res) => {
+  try {
+    const user = await verifyTwoFactorEnrollmentToken(req.body.token)
+
+    if (!user || user.role !== "admin" || user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Invalid or expired enrollment link" })
+    }
+
+    if (user.status === "suspended") {
+      return res.status(403).json({ message: "Your account has been suspended" })
+    }
+
+    const { secret, otpauthUri } = generateSecret(user.email)
+
+    user.twoFactorSecret = secret
+    await user.save()
+
+    // Enrollment finishes by verifying the first code with this challenge
+    res.json({
+      challengeToken: signChallengeToken(user, { isAdmin: true }),
+      secret,
+      otpauthUri,
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start single sign-on with the configured OpenID Connect provider
+// @access  Public
+router.get("/oidc/login", async (req, res) => {
+  try {
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ message: "Single sign-on is not configured" })
+    }
+
+    const { authorizationUrl, state } = await createAuthorizationUrl(req.app.get("redisClient"))
+
+    // Tie the login to this browser
+    setStateCookie(res, state)
+
+    // SPAs can ask for the URL and navigate themselves
+    if (req.query.redirect === "false") {
+      return res.json({ authorizationUrl })
+    }
+
+    res.redirect(authorizationUrl)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// Finish an OIDC login with the code and state sent back by the provider
+const oidcCallback = async (req, res) => {
+  try {
+    const { code, state, iss } = req.method === "GET" ? req.query : req.body
+
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ message: "Single sign-on is not configured" })
+    }
+
+    // Only the browser that started the login may finish it
+    if (!checkStateCookie(req, res, state)) {
+      return res.status(401).json({ message: "Invalid or expired login attempt" })
+    }
+
+    let claims
+
+    try {
+      claims = await handleCallback(req.app.get("redisClient"), { code, state, iss })
+    } catch (err) {
+      console.error("OIDC callback error:", err.message)
+      return res.status(401).json({ message: "Single sign-on failed" })
+    }
+
+    if (!claims) {
+      return res.status(401).json({ message: "Invalid or expired login attempt" })
+    }
+
+    let user
+
+    try {
+      user = await findOrProvisionUser(claims)
+    } catch (err) {
+      await recordLoginEvent(req, { email: claims.email, method: "oidc", success: false, reason: err.message })
+      return res.status(401).json({ message: err.message })
+    }
+
+    // Admins must sign in through admin-login
+    if (user.role === "admin") {
+      await recordLoginEvent(req, { user, method: "oidc", success: false, reason: "admin_on_user_login" })
+      return res.status(401).json({ message: "Invalid credentials" })
+    }
+
+    if (user.status === "suspended") {
+      await recordLoginEvent(req, { user, method: "oidc", success: false, reason: "suspended" })
+      return res.status(403).json({ message: "Your account has been suspended" })
+    }
+
+    // Same second-factor rules as a password login
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user),
+      })
+    }
+
+    await registerSuccessfulLogin(req, { user, method: "oidc" })
+
+    // Create access and refresh tokens
+    const { token, refreshToken } = await issueTokens(req.app.get("redisClient"), user, { device: deviceFromRequest(req) })
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+}
+
+// @route   GET /api/auth/oidc/callback
+// @route   POST /api/auth/oidc/callback
+// @desc    Complete single sign-on & get token
+// @access  Public
+router.get("/oidc/callback", oidcCallback)
+router.post("/oidc/callback", oidcCallback)
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a login challenge with a TOTP or recovery code & get token
+// @access  Public
+router.post("/2fa/verify", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    if (recoveryCode !== undefined && typeof recoveryCode !== "string") {
+      return res.status(400).json({ message: "Invalid recovery code" })
+    }
+
+    const challenge = verifyChallengeToken(challengeToken)
+
+    if (!challenge) {
+      return res.status(401).json({ message: "Invalid or expired challenge" })
+    }
+
+    const user = await User.findById(challenge.id).select("+twoFactorSecret +twoFactorRecoveryCodes")
+
+    if (!user || !user.twoFactorSecret) {
+      return res.status(401).json({ message: "Invalid or expired challenge" })
+    }
+
+    if (user.status === "suspended") {
+      return res.status(403).json({ message: "Your account has been suspended" })
+    }
+
+    // Refuse attempts while the account or IP is locked out
+    const lock = await checkLoginLock(req.app.get("redisClient"), { email: user.email, ip: req.ip })
+
+    if (lock.locked) {
+      res.set("Retry-After", String(lock.retryAfter))
+      return res.status(429).json({
+        message: `Too many failed login attempts. Try again in ${lock.retryAfter} seconds`,
+      })
+    }
+
+    let recoveryCodes
+
+    if (recoveryCode && user.twoFactorEnabled) {
+      if (!(await consumeRecoveryCode(user, recoveryCode))) {
+        await registerFailedLogin(req, { user, method: "2fa", reason: "wrong_recovery_code" })
+        return res.status(401).json({ message: "Invalid recovery code" })
+      }
+    } else if (verifyCode(user.twoFactorSecret, code)) {
+      // First successful code of a pending enrollment turns 2FA on
+      if (!user.twoFactorEnabled) {
+        const generated = generateRecoveryCodes()
+
+        user.twoFactorEnabled = true
+        user.twoFactorRecoveryCodes = generated.hashes
+        recoveryCodes = generated.codes
+      }
+    } else {
+      await registerFailedLogin(req, { user, method: "2fa", reason: "wrong_code" })
+      return res.status(401).json({ message: "Invalid verification code" })
+    }
+
+    await user.save()
+    await registerSuccessfulLogin(req, { user, method: challenge.isAdmin ? "admin" : "2fa" })
+
+    // Create tokens, keeping the admin flag from the original login
+    const { token, refreshToken } = await issueTokens(req.app.get("redisClient"), user, {
+      isAdmin: challenge.isAdmin && user.role === "admin",
+      device: deviceFromRequest(req),
+    })
+
+    res.json({
+      token,
+      refreshToken,
+      recoveryCodes,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
       },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" },
-    )
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment and get the secret and otpauth URI
+// @access  Private
+router.post("/2fa/setup", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    const { secret, otpauthUri } = generateSecret(user.email)
+
+    user.twoFactorSecret = secret
+    await user.save()
+
+    res.json({ secret, otpauthUri })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm TOTP enrollment with a code and get recovery codes
+// @access  Private
+router.post("/2fa/enable", protect, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    const user = await User.findById(req.user.id).select("+twoFactorSecret")
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" })
+    }
+
+    if (!verifyCode(user.twoFactorSecret, code)) {
+      return res.status(401).json({ message: "Invalid verification code" })
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+
+    user.twoFactorEnabled = true
+    user.twoFactorRecoveryCodes = hashes
+    await user.save()
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes: codes })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post("/2fa/recovery-codes", protect, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    const user = await User.findById(req.user.id).select("+twoFactorSecret")
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    if (!verifyCode(user.twoFactorSecret, code)) {
+      return res.status(401).json({ message: "Invalid verification code" })
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+
+    user.twoFactorRecoveryCodes = hashes
+    await user.save()
+
+    res.json({ recoveryCodes: codes })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (not allowed for admins)
+// @access  Private
+router.post("/2fa/disable", protect, async (req, res) => {
+  try {
+    const { password, code } = req.body
+
+    const user = await User.findById(req.user.id).select("+password +twoFactorSecret")
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: "Two-factor authentication is mandatory for admins" })
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    const isMatch = await user.matchPassword(password || "")
+
+    if (!isMatch || !verifyCode(user.twoFactorSecret, code)) {
+      return res.status(401).json({ message: "Invalid credentials" })
+    }
+
+    user.twoFactorEnabled = false
+    user.twoFactorSecret = undefined
+    user.twoFactorRecoveryCodes = []
+    await user.save()
+
+    res.json({ message: "Two-factor authentication disabled" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/verify
+// @desc    Verify an email address with the token from the verification email
+// @access  Public
+router.post("/verify", async (req, res) => {
+  try {
+    const decoded = verifyEmailVerificationToken(req.body.token)
+
+    if (!decoded) {
+      return res.status(400).json({ message: "Invalid or expired verification token" })
+    }
+
+    const user = await User.findById(decoded.id)
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: "Invalid or expired verification token" })
+    }
+
+    user.emailVerified = true
+    await user.save()
+
+    res.json({ message: "Email verified" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/verify/resend
+// @desc    Send a new email verification link
+// @access  Private
+router.post("/verify/resend", protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" })
+    }
+
+    await sendMail(verificationEmail(req.user, signEmailVerificationToken(req.user)))
+
+    res.json({ message: "Verification email sent" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body
+
+    const user = typeof email === "string" ? await User.findOne({ email }).select("+password") : null
+
+    // Only send mail for known accounts, but always give the same answer (and
+    // don't wait for the mail) so the endpoint can't be used to find out which
+    // emails are registered
+    if (user) {
+      sendMail(passwordResetEmail(user, signPasswordResetToken(user))).catch((err) =>
+        console.error("Error sending password reset email:", err.message),
+      )
+    }
+
+    res.json({ message: "If that email is registered, a reset link has been sent" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email
+// @access  Public
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters" })
+    }
+
+    const user = await verifyPasswordResetToken(token)
+
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired reset token" })
+    }
+
+    user.password = password
+    // The user proved they can read mail sent to this address
+    user.emailVerified = true
+    await user.save()
+
+    // Sign the user out everywhere after a reset
+    await revokeAllForUser(req.app.get("redisClient"), user._id)
+
+    res.json({ message: "Password has been reset" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" })
+    }
+
+    const result = await rotateRefreshToken(req.app.get("redisClient"), refreshToken, { ip: req.ip })
+
+    if (!result) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" })
+    }
+
+    const { token, refreshToken: newRefreshToken, user } = result
 
     res.json({
       token,
+      refreshToken: newRefreshToken,
       user: {
         _id: user._id,
         name: user.name,
@@ -141,6 +746,79 @@ router.post("/admin-login", async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/logout
+// @desc    Revoke a refresh token and the rest of its token family
+// @access  Public
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" })
+    }
+
+    await revokeRefreshToken(req.app.get("redisClient"), refreshToken)
+
+    res.json({ message: "Logged out" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every token of the current user and disconnect their sockets
+// @access  Private
+router.post("/logout-all", protect, async (req, res) => {
+  try {
+    await revokeAllForUser(req.app.get("redisClient"), req.user._id)
+
+    req.app.get("io").in(`user:${req.user._id}`).disconnectSockets(true)
+
+    res.json({ message: "Logged out from all devices" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active device sessions
+// @access  Private
+router.get("/sessions", protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.app.get("redisClient"), req.user._id)
+
+    res.json(sessions.map((session) => ({ ...session, current: session.id === req.sessionId })))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a device session and disconnect its sockets
+// @access  Private
+router.delete("/sessions/:id", protect, async (req, res) => {
+  try {
+    const redisClient = req.app.get("redisClient")
+    const session = await getSession(redisClient, req.params.id)
+
+    if (!session || session.user !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    await revokeFamily(redisClient, session.id)
+
+    req.app.get("io").in(`session:${session.id}`).disconnectSockets(true)
+
+    res.json({ message: "Session revoked" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -157,6 +835,7 @@ router.get("/me", protect, async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      emailVerified: user.emailVerified,
     })
   } catch (err) {
     console.error(err.message)
@@ -0,0 +1,223 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const Deal = require("../models/Deal")
+const Invitation = require("../models/Invitation")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { protectWithScope } = require("../middleware/auth")
+const { can, resolveParticipantSide } = require("../utils/permissions")
+const { isTerminal } = require("../utils/dealStateMachine")
+const { recordDealEvent } = require("../utils/dealEvents")
+const { sendInvitation } = require("../utils/invitations")
+
+// Load the deal and check the user may invite people to it. Returns the deal,
+// or sends the error response and returns null.
+const loadDeal = async (req, res) => {
+  const deal = await Deal.findById(req.params.id)
+
+  if (!deal) {
+    res.status(404).json({ message: "Deal not found" })
+    return null
+  }
+
+  if (!(await can(req.user, "deal.manageParticipants", { deal }))) {
+    res.status(403).json({ message: "Not authorized to manage invitations for this deal" })
+    return null
+  }
+
+  return deal
+}
+
+// @route   GET /api/deals/:id/invitations
+// @desc    Get a deal's invitations (?status=pending for pending ones only)
+// @access  Private (API key scope: deals:read)
+router.get("/", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res)
+
+    if (!deal) {
+      return
+    }
+
+    const query = { deal: deal._id }
+
+    if (req.query.status) {
+      query.status = req.query.status
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate("invitedBy", "name email")
+      .populate("acceptedBy", "name email")
+      .sort({ createdAt: -1 })
+
+    res.json(invitations.map((invitation) => ({ ...invitation.toObject(), expired: invitation.isExpired() })))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/invitations
+// @desc    Invite someone to a deal by email (role defaults to counterparty)
+// @access  Private (API key scope: deals:write)
+router.post("/", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const { email, role = "counterparty", side, message } = req.body
+    const roles = Invitation.schema.path("role").enumValues
+
+    if (!email) {
+      return res.status(400).json({ message: "Please provide an email" })
+    }
+
+    if (!roles.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${roles.join(", ")}` })
+    }
+
+    const deal = await loadDeal(req, res)
+
+    if (!deal) {
+      return
+    }
+
+    if (isTerminal(deal.status)) {
+      return res.status(400).json({ message: "Cannot invite people to a closed or cancelled deal" })
+    }
+
+    if (role === "counterparty" && deal.seller) {
+      return res.status(400).json({ message: "This deal already has a counterparty" })
+    }
+
+    let invitedSide
+
+    if (role !== "counterparty") {
+      const resolved = await resolveParticipantSide(deal, req.user, role, side)
+
+      if (resolved.message) {
+        return res.status(400).json({ message: resolved.message })
+      }
+
+      invitedSide = resolved.side
+    }
+
+    const existing = await Invitation.findOne({ deal: deal._id, email: email.toLowerCase(), status: "pending" })
+
+    if (existing) {
+      return res.status(400).json({ message: "This email already has a pending invitation; resend it instead" })
+    }
+
+    const invitation = new Invitation({
+      deal: deal._id,
+      email,
+      role,
+      side: invitedSide,
+      message,
+      invitedBy: req.user._id,
+    })
+
+    // Saves the invitation before mailing the link
+    await sendInvitation(invitation, { deal, inviter: req.user })
+
+    await recordDealEvent(deal, req.user, "invitation.sent", {
+      subject: invitation,
+      after: { email: invitation.email, role: invitation.role, side: invitation.side, expiresAt: invitation.expiresAt },
+    })
+
+    // Let existing users know in the app as well
+    const invitee = await User.findOne({ email: invitation.email })
+
+    if (invitee) {
+      const notification = new Notification({
+        user: invitee._id,
+        type: "deal",
+        content: `${req.user.name} invited you to deal "${deal.title}"`,
+        dealId: deal._id,
+        read: false,
+      })
+
+      await notification.save()
+
+      req.app.get("io").to(`user:${invitee._id}`).emit("new_notification", notification)
+    }
+
+    // The nonce only belongs in the emailed link
+    res.status(201).json({ ...invitation.toObject(), nonce: undefined })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/invitations/:invitationId/resend
+// @desc    Resend a pending invitation with a new link and expiry
+// @access  Private (API key scope: deals:write)
+router.post("/:invitationId/resend", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res)
+
+    if (!deal) {
+      return
+    }
+
+    const invitation = await Invitation.findOne({ _id: req.params.invitationId, deal: deal._id })
+
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    if (invitation.status !== "pending") {
+      return res.status(400).json({ message: `This invitation has been ${invitation.status}` })
+    }
+
+    await sendInvitation(invitation, { deal, inviter: req.user })
+
+    await recordDealEvent(deal, req.user, "invitation.resent", {
+      subject: invitation,
+      after: { email: invitation.email, expiresAt: invitation.expiresAt },
+    })
+
+    res.json({ ...invitation.toObject(), nonce: undefined })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/deals/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (API key scope: deals:write)
+router.delete("/:invitationId", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res)
+
+    if (!deal) {
+      return
+    }
+
+    const invitation = await Invitation.findOne({ _id: req.params.invitationId, deal: deal._id })
+
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    if (invitation.status !== "pending") {
+      return res.status(400).json({ message: `This invitation has been ${invitation.status}` })
+    }
+
+    invitation.status = "revoked"
+    invitation.revokedAt = Date.now()
+    await invitation.save()
+
+    await recordDealEvent(deal, req.user, "invitation.revoked", {
+      subject: invitation,
+      before: { status: "pending" },
+      after: { status: "revoked" },
+    })
+
+    res.json({ message: "Invitation revoked" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
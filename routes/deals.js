@@ -5,11 +5,39 @@ const Deal = require("../models/Deal")
 const Message = require("../models/Message")
 const Document = require("../models/Document")
 const Notification = require("../models/Notification")
-const { protect, authorize } = require("../middleware/auth")
+const DealEvent = require("../models/DealEvent")
+const Auction = require("../models/Auction")
+const DealExport = require("../models/DealExport")
+const { protectWithScope, requirePermission, requireVerifiedEmail } = require("../middleware/auth")
 const multer = require("multer")
 const path = require("path")
 const fs = require("fs")
 const { v4: uuidv4 } = require("uuid")
+const { canAccessDocument, participantConditions } = require("../utils/dealAccess")
+const { can } = require("../utils/permissions")
+const { notifyDealMembers } = require("../utils/notifications")
+const { DEAL_EVENT_ACTIONS, recordDealEvent } = require("../utils/dealEvents")
+const { findDealsPage, sendDealsPage } = require("../utils/dealQuery")
+const { checkNdaAccepted } = require("../utils/nda")
+const { parsePrice } = require("../utils/money")
+const { normalizeDealType, fieldsFor, parseCustomFields, parseTags } = require("../utils/customFields")
+const { pendingExpiry, parseDeadline, scheduleDealJobs } = require("../utils/dealDeadlines")
+const {
+  EXPORT_DIR,
+  collectExport,
+  isLarge,
+  writeExport,
+  removeExpiredExports,
+  startBackgroundExport,
+} = require("../utils/dealExport")
+const {
+  STATUS_LABELS,
+  isTerminal,
+  checkTransition,
+  availableTransitions,
+  applyTransition,
+  saveTransition,
+} = require("../utils/dealStateMachine")
 
 // Set up multer storage
 const storage = multer.diskStorage({
@@ -53,29 +81,37 @@ const upload = multer({
 })
 
 // @route   GET /api/deals
-// @desc    Get all deals for the current user
-// @access  Private
-router.get("/", protect, async (req, res) => {
+// @desc    Get deals for the current user (filters, sorting and pagination: see utils/dealQuery.js)
+// @access  Private (API key scope: deals:read)
+router.get("/", protectWithScope("deals:read"), async (req, res) => {
   try {
-    const query = {}
-
-    // Filter deals based on user role
-    if (req.user.role === "buyer") {
-      query.buyer = req.user.id
-    } else if (req.user.role === "seller") {
-      query.$or = [{ seller: req.user.id }, { seller: null }]
-    } else if (req.user.role === "admin") {
-      // Admin can see all deals
-    } else {
-      return res.status(403).json({ message: "Not authorized" })
+    const conditions = []
+
+    // Users who can't see every deal get the ones they take part in, plus
+    // open deals without a seller if they can pick those up
+    if (!(await can(req.user, "deal.viewAll"))) {
+      const visible = participantConditions(req.user)
+
+      if (await can(req.user, "deal.browseAvailable")) {
+        visible.push({ seller: null, visibility: { $ne: "private" } })
+      }
+
+      conditions.push({ $or: visible })
     }
 
-    const deals = await Deal.find(query)
-      .populate("buyer", "name email")
-      .populate("seller", "name email")
-      .sort({ updatedAt: -1 })
+    const result = await findDealsPage(req.query, {
+      conditions,
+      populate: [
+        ["buyer", "name email"],
+        ["seller", "name email"],
+      ],
+    })
 
-    res.json(deals)
+    if (result.message) {
+      return res.status(400).json({ message: result.message })
+    }
+
+    sendDealsPage(res, req.query, result)
   } catch (err) {
     console.error(err.message)
     res.status(500).json({ message: "Server Error" })
@@ -84,13 +120,14 @@ router.get("/", protect, async (req, res) => {
 
 // Add this route to get available deals for sellers
 // @route   GET /api/deals/available
-// @desc    Get all available deals for sellers (pending deals without a seller)
-// @access  Private/Seller
-router.get("/available", protect, authorize("seller"), async (req, res) => {
+// @desc    Get all available deals for sellers (open deals without a seller)
+// @access  Private/Seller (API key scope: deals:read)
+router.get("/available", protectWithScope("deals:read"), requirePermission("deal.browseAvailable"), async (req, res) => {
   try {
     const deals = await Deal.find({
-      status: "pending",
+      status: "open",
       seller: null, // Only deals without a seller assigned
+      visibility: { $ne: "private" },
     })
       .populate("buyer", "name email")
       .sort({ createdAt: -1 })
@@ -105,11 +142,11 @@ router.get("/available", protect, authorize("seller"), async (req, res) => {
 // Add these routes to support seller-initiated deals and buyer browsing
 
 // @route   POST /api/deals/from-listing
-// @desc    Create a deal from a listing (buyer initiated)
-// @access  Private/Buyer
-router.post("/from-listing", protect, authorize("buyer"), async (req, res) => {
+// @desc    Create a deal from a listing (buyer initiated; optional dealType, customFields and tags)
+// @access  Private/Buyer (API key scope: deals:write)
+router.post("/from-listing", protectWithScope("deals:write"), requirePermission("deal.createFromListing"), requireVerifiedEmail, async (req, res) => {
   try {
-    const { listingId, price, message } = req.body
+    const { listingId, price, message, dealType, customFields, tags } = req.body
 
     // Find the listing
     const listing = await mongoose.model("Listing").findById(listingId)
@@ -122,18 +159,50 @@ router.post("/from-listing", protect, authorize("buyer"), async (req, res) => {
       return res.status(400).json({ message: "This listing is no longer active" })
     }
 
+    if (await Auction.exists({ listing: listing._id, status: "open" })) {
+      return res.status(409).json({ message: "This listing is being auctioned; place a bid instead" })
+    }
+
+    // A proposed price is in the listing's currency
+    const parsedPrice = parsePrice(price === undefined ? listing.price : price, listing.currency)
+
+    if (parsedPrice.message) {
+      return res.status(400).json({ message: parsedPrice.message })
+    }
+
+    const parsedFields = await parseCustomFields(customFields, normalizeDealType(dealType))
+
+    if (parsedFields.message) {
+      return res.status(400).json({ message: parsedFields.message })
+    }
+
+    const parsedTags = tags === undefined ? { tags: [] } : parseTags(tags)
+
+    if (parsedTags.message) {
+      return res.status(400).json({ message: parsedTags.message })
+    }
+
+    const seller = await mongoose.model("User").findById(listing.seller)
+
     // Create deal
     const deal = new Deal({
       title: listing.title,
       description: listing.description,
-      price: price || listing.price,
+      price: parsedPrice.price,
+      currency: parsedPrice.currency,
+      dealType: normalizeDealType(dealType),
+      customFields: parsedFields.customFields,
+      tags: parsedTags.tags,
       buyer: req.user.id,
       seller: listing.seller,
+      buyerOrganization: req.user.organization,
+      sellerOrganization: seller && seller.organization,
       listing: listing._id,
       initiatedBy: "buyer",
       priceHistory: [
         {
-          price: price || listing.price,
+          price: parsedPrice.price,
+          currency: parsedPrice.currency,
           user: req.user.id,
           timestamp: Date.now(),
         },
@@ -142,6 +211,22 @@ router.post("/from-listing", protect, authorize("buyer"), async (req, res) => {
 
     await deal.save()
 
+    await recordDealEvent(deal, req.user, "deal.created", {
+      after: {
+        title: deal.title,
+        description: deal.description,
+        price: deal.price,
+        currency: deal.currency,
+        dealType: deal.dealType,
+        customFields: Object.fromEntries(deal.customFields),
+        tags: deal.tags,
+        status: deal.status,
+        buyer: deal.buyer,
+        seller: deal.seller,
+        listing: deal.listing,
+      },
+    })
+
     // Populate user info
     await deal.populate("buyer", "name email")
     await deal.populate("seller", "name email")
@@ -170,6 +255,7 @@ router.post("/from-listing", protect, authorize("buyer"), async (req, res) => {
       })
 
       await newMessage.save()
+      await recordDealEvent(deal, req.user, "message.sent", { subject: newMessage })
       await newMessage.populate("sender", "name email role")
 
       // Emit the message to the seller
@@ -184,16 +270,30 @@ router.post("/from-listing", protect, authorize("buyer"), async (req, res) => {
 })
 
 // @route   GET /api/deals/my-listings
-// @desc    Get deals related to seller's listings
-// @access  Private/Seller
-router.get("/my-listings", protect, authorize("seller"), async (req, res) => {
+// @desc    Get deals related to seller's listings (filters, sorting and pagination: see utils/dealQuery.js)
+// @access  Private/Seller (API key scope: deals:read)
+router.get("/my-listings", protectWithScope("deals:read"), requirePermission("listing.manage"), async (req, res) => {
   try {
-    const deals = await Deal.find({ seller: req.user.id })
-      .populate("buyer", "name email")
-      .populate("listing", "title images")
-      .sort({ updatedAt: -1 })
+    const mine = [{ seller: req.user._id }]
 
-    res.json(deals)
+    // Include deals on listings of the seller's organization
+    if (req.user.organization) {
+      mine.push({ sellerOrganization: req.user.organization })
+    }
+
+    const result = await findDealsPage(req.query, {
+      conditions: [{ $or: mine }],
+      populate: [
+        ["buyer", "name email"],
+        ["listing", "title images"],
+      ],
+    })
+
+    if (result.message) {
+      return res.status(400).json({ message: result.message })
+    }
+
+    sendDealsPage(res, req.query, result)
   } catch (err) {
     console.error(err.message)
     res.status(500).json({ message: "Server Error" })
@@ -201,21 +301,78 @@ router.get("/my-listings", protect, authorize("seller"), async (req, res) => {
 })
 
 // @route   POST /api/deals
-// @desc    Create a new deal
-// @access  Private
-router.post("/", protect, async (req, res) => {
+// @desc    Create a new deal (price in minor units of currency, default BASE_CURRENCY;
+//          pass draft: true to keep it from sellers until opened,
+//          private: true to only open it to counterparties invited by email,
+//          deadline and deadlineAction: cancel|escalate to set a negotiation deadline,
+//          dealType, customFields: { <key>: value } and tags)
+// @access  Private (API key scope: deals:write)
+router.post("/", protectWithScope("deals:write"), requirePermission("deal.create"), requireVerifiedEmail, async (req, res) => {
   try {
-    const { title, description, price } = req.body
+    const {
+      title,
+      description,
+      price,
+      currency,
+      draft,
+      private: isPrivate,
+      deadline,
+      deadlineAction,
+      dealType,
+      customFields,
+      tags,
+    } = req.body
+
+    const parsedPrice = parsePrice(price, currency)
+
+    if (parsedPrice.message) {
+      return res.status(400).json({ message: parsedPrice.message })
+    }
+
+    const parsedFields = await parseCustomFields(customFields, normalizeDealType(dealType))
+
+    if (parsedFields.message) {
+      return res.status(400).json({ message: parsedFields.message })
+    }
+
+    const parsedTags = tags === undefined ? { tags: [] } : parseTags(tags)
+
+    if (parsedTags.message) {
+      return res.status(400).json({ message: parsedTags.message })
+    }
+
+    const parsedDeadline = deadline === undefined ? {} : parseDeadline(deadline)
+
+    if (parsedDeadline.message) {
+      return res.status(400).json({ message: parsedDeadline.message })
+    }
+
+    if (deadlineAction && !Deal.schema.path("deadlineAction").enumValues.includes(deadlineAction)) {
+      return res.status(400).json({ message: "Deadline action must be cancel or escalate" })
+    }
 
     // Create deal
     const deal = new Deal({
       title,
       description,
-      price,
+      price: parsedPrice.price,
+      currency: parsedPrice.currency,
+      dealType: normalizeDealType(dealType),
+      customFields: parsedFields.customFields,
+      tags: parsedTags.tags,
+      status: draft ? "draft" : "open",
+      visibility: isPrivate ? "private" : "public",
+      // Open deals expire if nobody picks them up
+      expiresAt: draft ? undefined : pendingExpiry(),
+      deadline: parsedDeadline.deadline || undefined,
+      deadlineAction,
       buyer: req.user.id,
+      buyerOrganization: req.user.organization,
+      initiatedBy: "buyer",
       priceHistory: [
         {
-          price,
+          price: parsedPrice.price,
+          currency: parsedPrice.currency,
           user: req.user.id,
           timestamp: Date.now(),
         },
@@ -223,12 +380,29 @@ router.post("/", protect, async (req, res) => {
     })
 
     await deal.save()
+    await scheduleDealJobs(req.app.get("redisClient"), deal)
+
+    await recordDealEvent(deal, req.user, "deal.created", {
+      after: {
+        title: deal.title,
+        description: deal.description,
+        price: deal.price,
+        currency: deal.currency,
+        dealType: deal.dealType,
+        customFields: Object.fromEntries(deal.customFields),
+        tags: deal.tags,
+        status: deal.status,
+        buyer: deal.buyer,
+        expiresAt: deal.expiresAt,
+        deadline: deal.deadline,
+      },
+    })
 
     // Populate buyer info
     await deal.populate("buyer", "name email")
 
     // Create notification for sellers
-    if (req.user.role === "buyer") {
+    if (req.user.role === "buyer" && deal.status === "open" && deal.visibility === "public") {
       const sellers = await mongoose.model("User").find({ role: "seller" })
 
       for (const seller of sellers) {
@@ -254,10 +428,22 @@ router.post("/", protect, async (req, res) => {
   }
 })
 
+// @route   GET /api/deals/custom-fields
+// @desc    Get the custom fields deals of a type take (?dealType=)
+// @access  Private (API key scope: deals:read)
+router.get("/custom-fields", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    res.json(await fieldsFor(normalizeDealType(req.query.dealType)))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
 // @route   GET /api/deals/:id
 // @desc    Get a deal by ID
-// @access  Private
-router.get("/:id", protect, async (req, res) => {
+// @access  Private (API key scope: deals:read)
+router.get("/:id", protectWithScope("deals:read"), async (req, res) => {
   try {
     const deal = await Deal.findById(req.params.id)
       .populate("buyer", "name email role")
@@ -268,12 +454,7 @@ router.get("/:id", protect, async (req, res) => {
     }
 
     // Check if user is authorized to view the deal
-    const isAuthorized =
-      deal.buyer._id.toString() === req.user.id ||
-      (deal.seller && deal.seller._id.toString() === req.user.id) ||
-      req.user.role === "admin"
-
-    if (!isAuthorized) {
+    if (!(await can(req.user, "deal.view", { deal }))) {
       return res.status(403).json({ message: "Not authorized to view this deal" })
     }
 
@@ -285,11 +466,22 @@ router.get("/:id", protect, async (req, res) => {
 })
 
 // @route   PUT /api/deals/:id
-// @desc    Update a deal
-// @access  Private
-router.put("/:id", protect, async (req, res) => {
+// @desc    Update a deal (deadline: null clears the negotiation deadline; customFields
+//          changes only the fields given, null clears one; tags replaces the tags)
+// @access  Private (API key scope: deals:write)
+router.put("/:id", protectWithScope("deals:write"), async (req, res) => {
   try {
-    const { title, description } = req.body
+    const { title, description, deadline, deadlineAction, dealType, customFields, tags } = req.body
+
+    const parsedDeadline = deadline === undefined ? {} : parseDeadline(deadline)
+
+    if (parsedDeadline.message) {
+      return res.status(400).json({ message: parsedDeadline.message })
+    }
+
+    if (deadlineAction && !Deal.schema.path("deadlineAction").enumValues.includes(deadlineAction)) {
+      return res.status(400).json({ message: "Deadline action must be cancel or escalate" })
+    }
 
     const deal = await Deal.findById(req.params.id)
 
@@ -298,25 +490,69 @@ router.put("/:id", protect, async (req, res) => {
     }
 
     // Check if user is authorized to update the deal
-    const isAuthorized =
-      deal.buyer.toString() === req.user.id ||
-      (deal.seller && deal.seller.toString() === req.user.id) ||
-      req.user.role === "admin"
-
-    if (!isAuthorized) {
+    if (!(await can(req.user, "deal.update", { deal }))) {
       return res.status(403).json({ message: "Not authorized to update this deal" })
     }
 
+    // Block changes while a participant is suspended
+    if (deal.isFrozen() && !(await can(req.user, "deal.overrideFreeze"))) {
+      return res.status(423).json({ message: "This deal is frozen while a participant's account is suspended" })
+    }
+
     // Check if deal can be updated
-    if (deal.status === "completed" || deal.status === "cancelled") {
-      return res.status(400).json({ message: "Cannot update a completed or cancelled deal" })
+    if (isTerminal(deal.status)) {
+      return res.status(400).json({ message: "Cannot update a closed or cancelled deal" })
     }
 
+    // Required custom fields are only enforced when the fields or deal type change
+    let parsedFields = {}
+
+    if (dealType !== undefined || customFields !== undefined) {
+      const type = dealType === undefined ? deal.dealType : normalizeDealType(dealType)
+
+      parsedFields = await parseCustomFields(customFields, type, Object.fromEntries(deal.customFields))
+
+      if (parsedFields.message) {
+        return res.status(400).json({ message: parsedFields.message })
+      }
+    }
+
+    const parsedTags = tags === undefined ? {} : parseTags(tags)
+
+    if (parsedTags.message) {
+      return res.status(400).json({ message: parsedTags.message })
+    }
+
+    const snapshot = () => ({
+      title: deal.title,
+      description: deal.description,
+      deadline: deal.deadline,
+      deadlineAction: deal.deadlineAction,
+      dealType: deal.dealType,
+      customFields: Object.fromEntries(deal.customFields),
+      tags: [...deal.tags],
+    })
+    const before = snapshot()
+
     // Update deal
     if (title) deal.title = title
     if (description) deal.description = description
+    if (deadlineAction) deal.deadlineAction = deadlineAction
+    if (dealType !== undefined) deal.dealType = normalizeDealType(dealType)
+    if (parsedFields.customFields) deal.customFields = parsedFields.customFields
+    if (parsedTags.tags) deal.tags = parsedTags.tags
+
+    // A new deadline gets a new reminder
+    if (deadline !== undefined) {
+      deal.deadline = parsedDeadline.deadline || undefined
+      deal.deadlineReminderSentAt = undefined
+      deal.escalatedAt = undefined
+    }
 
     await deal.save()
+    await scheduleDealJobs(req.app.get("redisClient"), deal)
+
+    await recordDealEvent(deal, req.user, "deal.updated", { before, after: snapshot() })
 
     // Populate user info
     await deal.populate("buyer", "name email role")
@@ -330,72 +566,64 @@ router.put("/:id", protect, async (req, res) => {
 })
 
 // @route   PUT /api/deals/:id/status
-// @desc    Update deal status
-// @access  Private
-router.put("/:id/status", protect, async (req, res) => {
+// @desc    Move a deal to another status (see utils/dealStateMachine.js)
+// @access  Private (API key scope: deals:write)
+router.put("/:id/status", protectWithScope("deals:write"), async (req, res) => {
   try {
-    const { status } = req.body
-
-    if (!["pending", "in-progress", "completed", "cancelled"].includes(status)) {
-      return res.status(400).json({ message: "Invalid status" })
-    }
+    const { status, reason } = req.body
 
-    const deal = await Deal.findById(req.params.id)
-      .populate("buyer", "name email role")
-      .populate("seller", "name email role")
+    let deal = await Deal.findById(req.params.id)
 
     if (!deal) {
       return res.status(404).json({ message: "Deal not found" })
     }
 
-    // Check if user is authorized to update the deal status
-    const isAuthorized =
-      deal.buyer._id.toString() === req.user.id ||
-      (deal.seller && deal.seller._id.toString() === req.user.id) ||
-      req.user.role === "admin"
+    // Block changes while a participant is suspended
+    if (deal.isFrozen() && !(await can(req.user, "deal.overrideFreeze"))) {
+      return res.status(423).json({ message: "This deal is frozen while a participant's account is suspended" })
+    }
 
-    if (!isAuthorized) {
-      return res.status(403).json({ message: "Not authorized to update this deal" })
+    const check = await checkTransition(deal, req.user, status)
+
+    if (!check.allowed) {
+      return res.status(check.status).json({ message: check.message })
     }
 
-    // Additional authorization checks based on status
-    if (status === "in-progress" && req.user.role !== "seller" && req.user.role !== "admin") {
-      return res.status(403).json({ message: "Only sellers can accept deals" })
+    const before = { status: deal.status, seller: deal.seller, priceLocked: deal.priceLocked }
+
+    applyTransition(deal, req.user, status, { reason })
+
+    // Opening a draft starts its expiry clock
+    if (deal.status === "open" && !deal.expiresAt) {
+      deal.expiresAt = pendingExpiry()
     }
 
-    // If a seller is accepting a deal, assign them as the seller
-    if (status === "in-progress" && req.user.role === "seller" && !deal.seller) {
-      deal.seller = req.user.id
+    // Only apply the change if nobody moved the deal since it was checked
+    const updated = await saveTransition(deal, before.status)
+
+    if (!updated) {
+      return res.status(409).json({ message: "This deal's status changed in the meantime" })
     }
 
-    // Update status
-    deal.status = status
-    await deal.save()
+    deal = updated
 
-    // Create notification for the other participant
-    const otherParticipantId = deal.buyer._id.toString() === req.user.id ? deal.seller?._id : deal.buyer._id
-
-    if (otherParticipantId) {
-      const statusText = {
-        pending: "set to pending",
-        "in-progress": "accepted",
-        completed: "marked as completed",
-        cancelled: "cancelled",
-      }[status]
-
-      const notification = new Notification({
-        user: otherParticipantId,
-        type: "status",
-        content: `Deal "${deal.title}" was ${statusText} by ${req.user.name}`,
-        dealId: deal._id,
-        read: false,
-      })
+    await scheduleDealJobs(req.app.get("redisClient"), deal)
 
-      await notification.save()
+    await recordDealEvent(deal, req.user, "status.changed", {
+      before,
+      after: { status: deal.status, seller: deal.seller, priceLocked: deal.priceLocked, reason },
+    })
 
-      // Emit notification to the other participant
-      req.app.get("io").to(`user:${otherParticipantId}`).emit("new_notification", notification)
-    }
+    // Populate user info
+    await deal.populate("buyer", "name email role")
+    await deal.populate("seller", "name email role")
+
+    // Notify everyone else on the deal
+    await notifyDealMembers(req.app.get("io"), deal, {
+      actor: req.user,
+      type: "status",
+      content: `Deal "${deal.title}" was ${STATUS_LABELS[status]} by ${req.user.name}`,
+    })
 
     // Emit deal status update to all users in the deal room
     req.app.get("io").to(`deal:${deal._id}`).emit("deal_status_updated", deal)
@@ -407,10 +635,134 @@ router.put("/:id/status", protect, async (req, res) => {
   }
 })
 
+// @route   GET /api/deals/:id/transitions
+// @desc    Get a deal's status history and the statuses the user can move it to
+// @access  Private (API key scope: deals:read)
+router.get("/:id/transitions", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id).populate("transitions.user", "name email role")
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "deal.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to view this deal" })
+    }
+
+    res.json({
+      status: deal.status,
+      available: await availableTransitions(deal, req.user),
+      history: deal.transitions,
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// Ids of the deal's documents, current or deleted, that the user can't open.
+// Timeline events about them would give away their names.
+const hiddenDocumentIds = async (deal, user) => {
+  const documents = await Document.find({ deal: deal._id, accessControl: { $ne: "all" } }).select(
+    "accessControl uploadedBy",
+  )
+  const deleted = await DealEvent.find({
+    deal: deal._id,
+    action: "document.deleted",
+    "before.accessControl": { $ne: "all" },
+  }).select("subject before")
+
+  return [
+    ...documents.filter((document) => !canAccessDocument(deal, user, document)).map((document) => document._id),
+    ...deleted.filter((event) => !canAccessDocument(deal, user, event.before || {})).map((event) => event.subject),
+  ]
+}
+
+// A timeline event with any document name taken out
+const withoutDocumentName = (event) => {
+  const view = event.toObject()
+
+  if (view.action.startsWith("document.")) {
+    for (const field of ["before", "after"]) {
+      if (view[field]) {
+        delete view[field].originalName
+      }
+    }
+  }
+
+  return view
+}
+
+const MAX_TIMELINE_LIMIT = 100
+
+// @route   GET /api/deals/:id/timeline
+// @desc    Get a deal's activity timeline, oldest first (?order=desc for newest first; limit 1-100)
+// @access  Private (API key scope: deals:read)
+router.get("/:id/timeline", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const { order = "asc", action } = req.query
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 50, 1), MAX_TIMELINE_LIMIT)
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+
+    if (action !== undefined && !DEAL_EVENT_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: "Invalid action" })
+    }
+
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "deal.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to view this deal" })
+    }
+
+    const query = { deal: deal._id }
+
+    if (action) {
+      query.action = action
+    }
+
+    const hidden = await hiddenDocumentIds(deal, req.user)
+
+    if (hidden.length > 0) {
+      query.$nor = [{ action: /^(document|agreement)\./, subject: { $in: hidden } }]
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit
+
+    const events = await DealEvent.find(query)
+      .populate("actor", "name email role")
+      .sort({ createdAt: order === "desc" ? -1 : 1, _id: order === "desc" ? -1 : 1 })
+      .limit(limit)
+      .skip(skip)
+
+    const total = await DealEvent.countDocuments(query)
+
+    // Document names stay hidden until the deal's NDA is accepted
+    const withholdNames = Boolean(await checkNdaAccepted(deal, req.user))
+
+    res.json({
+      events: withholdNames ? events.map(withoutDocumentName) : events,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
 // @route   GET /api/deals/:id/messages
 // @desc    Get messages for a deal
-// @access  Private
-router.get("/:id/messages", protect, async (req, res) => {
+// @access  Private (API key scope: messages:read)
+router.get("/:id/messages", protectWithScope("messages:read"), async (req, res) => {
   try {
     const deal = await Deal.findById(req.params.id)
 
@@ -419,12 +771,7 @@ router.get("/:id/messages", protect, async (req, res) => {
     }
 
     // Check if user is authorized to view messages
-    const isAuthorized =
-      deal.buyer.toString() === req.user.id ||
-      (deal.seller && deal.seller.toString() === req.user.id) ||
-      req.user.role === "admin"
-
-    if (!isAuthorized) {
+    if (!(await can(req.user, "message.view", { deal }))) {
       return res.status(403).json({ message: "Not authorized to view messages for this deal" })
     }
 
@@ -480,8 +827,8 @@ router.get("/:id/messages", protect, async (req, res) => {
 
 // @route   GET /api/deals/:id/price-history
 // @desc    Get price history for a deal
-// @access  Private
-router.get("/:id/price-history", protect, async (req, res) => {
+// @access  Private (API key scope: deals:read)
+router.get("/:id/price-history", protectWithScope("deals:read"), async (req, res) => {
   try {
     const deal = await Deal.findById(req.params.id).populate("priceHistory.user", "name email role")
 
@@ -490,12 +837,7 @@ router.get("/:id/price-history", protect, async (req, res) => {
     }
 
     // Check if user is authorized to view price history
-    const isAuthorized =
-      deal.buyer.toString() === req.user.id ||
-      (deal.seller && deal.seller.toString() === req.user.id) ||
-      req.user.role === "admin"
-
-    if (!isAuthorized) {
+    if (!(await can(req.user, "price.view", { deal }))) {
       return res.status(403).json({ message: "Not authorized to view price history for this deal" })
     }
 
@@ -506,10 +848,107 @@ router.get("/:id/price-history", protect, async (req, res) => {
   }
 })
 
+// @route   GET /api/deals/:id/export
+// @desc    Download a ZIP closing binder of the deal (?background=true, or a large deal, builds it in the background)
+// @access  Private (API key scopes: deals:read, messages:read, documents:read)
+router.get("/:id/export", protectWithScope("deals:read", "messages:read", "documents:read"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "deal.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to export this deal" })
+    }
+
+    await removeExpiredExports()
+
+    // Only what this user may see goes into the export
+    const contents = await collectExport(deal, req.user)
+
+    if (req.query.background === "true" || isLarge(contents)) {
+      const dealExport = await startBackgroundExport(contents, { io: req.app.get("io") })
+
+      return res.status(202).json({
+        message: "The export is being built; you will be notified when it is ready",
+        export: dealExport,
+      })
+    }
+
+    res.attachment(`deal-${deal._id}.zip`)
+    res.type("application/zip")
+
+    await writeExport(contents, res)
+  } catch (err) {
+    console.error(err.message)
+
+    // The ZIP may already be partly sent
+    if (res.headersSent) {
+      return res.destroy()
+    }
+
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/deals/:id/exports
+// @desc    Get the user's background exports of a deal
+// @access  Private (API key scope: deals:read)
+router.get("/:id/exports", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    await removeExpiredExports()
+
+    const exports = await DealExport.find({ deal: req.params.id, requestedBy: req.user._id }).sort({ createdAt: -1 })
+
+    res.json(exports)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/deals/:id/exports/:exportId/download
+// @desc    Download a background export (only the user who asked for it may)
+// @access  Private (API key scopes: deals:read, messages:read, documents:read)
+router.get("/:id/exports/:exportId/download", protectWithScope("deals:read", "messages:read", "documents:read"), async (req, res) => {
+  try {
+    const dealExport = await DealExport.findOne({
+      _id: req.params.exportId,
+      deal: req.params.id,
+      requestedBy: req.user._id,
+      expiresAt: { $gt: new Date() },
+    })
+
+    if (!dealExport) {
+      return res.status(404).json({ message: "Export not found" })
+    }
+
+    if (dealExport.status !== "ready") {
+      return res.status(409).json({
+        message: dealExport.status === "failed" ? "This export could not be built" : "This export is still being built",
+      })
+    }
+
+    // Access may have been taken away since the export was built
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal || !(await can(req.user, "deal.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to export this deal" })
+    }
+
+    res.download(path.join(EXPORT_DIR, dealExport.fileName), `deal-${deal._id}.zip`)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
 // @route   POST /api/deals/:id/documents
 // @desc    Upload a document for a deal
-// @access  Private
-router.post("/:id/documents", protect, upload.single("document"), async (req, res) => {
+// @access  Private (API key scope: documents:write)
+router.post("/:id/documents", protectWithScope("documents:write"), upload.single("document"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: "Please upload a file" })
@@ -524,17 +963,18 @@ router.post("/:id/documents", protect, upload.single("document"), async (req, re
     }
 
     // Check if user is authorized to upload documents
-    const isAuthorized =
-      deal.buyer.toString() === req.user.id ||
-      (deal.seller && deal.seller.toString() === req.user.id) ||
-      req.user.role === "admin"
-
-    if (!isAuthorized) {
+    if (!(await can(req.user, "document.upload", { deal }))) {
       // Remove uploaded file if not authorized
       fs.unlinkSync(req.file.path)
       return res.status(403).json({ message: "Not authorized to upload documents for this deal" })
     }
 
+    // Block uploads while a participant is suspended
+    if (deal.isFrozen() && !(await can(req.user, "deal.overrideFreeze"))) {
+      fs.unlinkSync(req.file.path)
+      return res.status(423).json({ message: "This deal is frozen while a participant's account is suspended" })
+    }
+
     // Create document record
     const document = new Document({
       deal: req.params.id,
@@ -548,29 +988,28 @@ router.post("/:id/documents", protect, upload.single("document"), async (req, re
 
     await document.save()
 
+    await recordDealEvent(deal, req.user, "document.uploaded", {
+      subject: document,
+      after: {
+        originalName: document.originalName,
+        fileType: document.fileType,
+        fileSize: document.fileSize,
+        accessControl: document.accessControl,
+      },
+    })
+
     // Populate user info
     await document.populate("uploadedBy", "name email role")
 
-    // Create notification for the other participant
-    const otherParticipantId = deal.buyer.toString() === req.user.id ? deal.seller : deal.buyer
-
-    if (otherParticipantId) {
-      const notification = new Notification({
-        user: otherParticipantId,
-        type: "document",
-        content: `${req.user.name} uploaded a document "${req.file.originalname}" to deal "${deal.title}"`,
-        dealId: deal._id,
-        read: false,
-      })
-
-      await notification.save()
-
-      // Emit notification to the other participant
-      req.app.get("io").to(`user:${otherParticipantId}`).emit("new_notification", notification)
-    }
+    // Notify everyone else on the deal. The name is left out, as not everyone
+    // may have accepted the NDA or be allowed to open the document.
+    await notifyDealMembers(req.app.get("io"), deal, {
+      actor: req.user,
+      type: "document",
+      content: `${req.user.name} uploaded a document to deal "${deal.title}"`,
+    })
 
-    // Emit new document to all users in the deal room
-    req.app.get("io").to(`deal:${deal._id}`).emit("new_document", document)
+    await emitNewDocument(req.app.get("io"), deal, document)
 
     res.status(201).json(document)
   } catch (err) {
@@ -585,10 +1024,24 @@ router.post("/:id/documents", protect, upload.single("document"), async (req, re
   }
 })
 
+// Send a new document to the users in the deal room who may open it: those
+// on the right side who have accepted the deal's NDA
+const emitNewDocument = async (io, deal, document) => {
+  const sockets = await io.in(`deal:${deal._id}`).fetchSockets()
+
+  for (const socket of sockets) {
+    const { user } = socket.data
+
+    if (user && canAccessDocument(deal, user, document) && !(await checkNdaAccepted(deal, user))) {
+      socket.emit("new_document", document)
+    }
+  }
+}
+
 // @route   GET /api/deals/:id/documents
 // @desc    Get documents for a deal
-// @access  Private
-router.get("/:id/documents", protect, async (req, res) => {
+// @access  Private (API key scope: documents:read)
+router.get("/:id/documents", protectWithScope("documents:read"), async (req, res) => {
   try {
     const deal = await Deal.findById(req.params.id)
 
@@ -597,15 +1050,17 @@ router.get("/:id/documents", protect, async (req, res) => {
     }
 
     // Check if user is authorized to view documents
-    const isAuthorized =
-      deal.buyer.toString() === req.user.id ||
-      (deal.seller && deal.seller.toString() === req.user.id) ||
-      req.user.role === "admin"
-
-    if (!isAuthorized) {
+    if (!(await can(req.user, "document.view", { deal }))) {
       return res.status(403).json({ message: "Not authorized to view documents for this deal" })
     }
 
+    // The deal's NDA has to be accepted first
+    const ndaRefusal = await checkNdaAccepted(deal, req.user)
+
+    if (ndaRefusal) {
+      return res.status(ndaRefusal.status).json({ message: ndaRefusal.message, ndaVersion: ndaRefusal.version })
+    }
+
     const documents = await Document.find({ deal: req.params.id })
       .populate("uploadedBy", "name email role")
       .sort({ createdAt: -1 })
@@ -619,8 +1074,8 @@ router.get("/:id/documents", protect, async (req, res) => {
 
 // @route   GET /api/deals/:dealId/documents/:documentId/download
 // @desc    Download a document
-// @access  Private
-router.get("/:dealId/documents/:documentId/download", protect, async (req, res) => {
+// @access  Private (API key scope: documents:read)
+router.get("/:dealId/documents/:documentId/download", protectWithScope("documents:read"), async (req, res) => {
   try {
     const deal = await Deal.findById(req.params.dealId)
 
@@ -628,34 +1083,27 @@ router.get("/:dealId/documents/:documentId/download", protect, async (req, res)
       return res.status(404).json({ message: "Deal not found" })
     }
 
-    const document = await Document.findById(req.params.documentId)
+    const document = await Document.findOne({ _id: req.params.documentId, deal: deal._id })
 
     if (!document) {
       return res.status(404).json({ message: "Document not found" })
     }
 
     // Check if user is authorized to download the document
-    const isAuthorized =
-      deal.buyer.toString() === req.user.id ||
-      (deal.seller && deal.seller.toString() === req.user.id) ||
-      req.user.role === "admin"
-
-    if (!isAuthorized) {
+    if (!(await can(req.user, "document.download", { deal }))) {
       return res.status(403).json({ message: "Not authorized to download this document" })
     }
 
-    // Check access control
-    if (document.accessControl !== "all") {
-      if (
-        (document.accessControl === "buyer" &&
-          req.user.role !== "buyer" &&
-          document.uploadedBy.toString() !== req.user.id) ||
-        (document.accessControl === "seller" &&
-          req.user.role !== "seller" &&
-          document.uploadedBy.toString() !== req.user.id)
-      ) {
-        return res.status(403).json({ message: "You do not have permission to access this document" })
-      }
+    // The deal's NDA has to be accepted first
+    const ndaRefusal = await checkNdaAccepted(deal, req.user)
+
+    if (ndaRefusal) {
+      return res.status(ndaRefusal.status).json({ message: ndaRefusal.message, ndaVersion: ndaRefusal.version })
+    }
+
+    // Check access control (documents restricted to one side of the deal)
+    if (!canAccessDocument(deal, req.user, document)) {
+      return res.status(403).json({ message: "You do not have permission to access this document" })
     }
 
     const filePath = path.join(__dirname, "../uploads", document.fileName)
@@ -674,8 +1122,8 @@ router.get("/:dealId/documents/:documentId/download", protect, async (req, res)
 
 // @route   DELETE /api/deals/:dealId/documents/:documentId
 // @desc    Delete a document
-// @access  Private
-router.delete("/:dealId/documents/:documentId", protect, async (req, res) => {
+// @access  Private (API key scope: documents:write)
+router.delete("/:dealId/documents/:documentId", protectWithScope("documents:write"), async (req, res) => {
   try {
     const deal = await Deal.findById(req.params.dealId)
 
@@ -683,19 +1131,36 @@ router.delete("/:dealId/documents/:documentId", protect, async (req, res) => {
       return res.status(404).json({ message: "Deal not found" })
     }
 
-    const document = await Document.findById(req.params.documentId)
+    const document = await Document.findOne({ _id: req.params.documentId, deal: deal._id })
 
     if (!document) {
       return res.status(404).json({ message: "Document not found" })
     }
 
-    // Check if user is authorized to delete the document
-    const isAuthorized = document.uploadedBy.toString() === req.user.id || req.user.role === "admin"
+    // Check if user is authorized to delete the document (their own, or any)
+    const isAuthorized =
+      (document.uploadedBy.toString() === req.user.id && (await can(req.user, "document.delete", { deal }))) ||
+      (await can(req.user, "document.deleteAny", { deal }))
 
     if (!isAuthorized) {
       return res.status(403).json({ message: "Not authorized to delete this document" })
     }
 
+    // Agreements keep their signatures (see routes/agreements.js)
+    if (document.agreement) {
+      return res.status(409).json({
+        message:
+          document.agreement.status === "signed"
+            ? "Signed agreements cannot be deleted"
+            : "Withdraw the signature request before deleting this document",
+      })
+    }
+
+    // Block changes while a participant is suspended
+    if (deal.isFrozen() && !(await can(req.user, "deal.overrideFreeze"))) {
+      return res.status(423).json({ message: "This deal is frozen while a participant's account is suspended" })
+    }
+
     // Delete file from filesystem
     const filePath = path.join(__dirname, "../uploads", document.fileName)
 
@@ -704,7 +1169,16 @@ router.delete("/:dealId/documents/:documentId", protect, async (req, res) => {
     }
 
     // Delete document from database
-    await Document.findByIdAndDelete(req.params.documentId)
+    await Document.findByIdAndDelete(document._id)
+
+    await recordDealEvent(deal, req.user, "document.deleted", {
+      subject: document,
+      before: {
+        originalName: document.originalName,
+        uploadedBy: document.uploadedBy,
+        accessControl: document.accessControl,
+      },
+    })
 
     // Emit document deleted to all users in the deal room
     req.app.get("io").to(`deal:${deal._id}`).emit("document_deleted", { documentId: req.params.documentId })
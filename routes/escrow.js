@@ -0,0 +1,71 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const Deal = require("../models/Deal")
+const LedgerTransaction = require("../models/LedgerTransaction")
+const { protectWithScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { getBalances, isFunded, recordTransaction } = require("../utils/escrow")
+
+// @route   GET /api/deals/:id/escrow
+// @desc    Get a deal's escrow balances and ledger
+// @access  Private (API key scope: deals:read)
+router.get("/", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "escrow.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to view the escrow for this deal" })
+    }
+
+    const balances = await getBalances(deal)
+    const transactions = await LedgerTransaction.find({ deal: deal._id })
+      .populate("createdBy", "name email role")
+      .sort({ createdAt: 1 })
+
+    res.json({
+      price: deal.price,
+      currency: deal.currency,
+      balances,
+      funded: isFunded(deal, balances),
+      transactions,
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/escrow/:type
+// @desc    Deposit, hold, release or refund escrow money ({ amount, memo } in minor units of the deal's currency; refunds take from: available|held)
+// @access  Private (API key scope: deals:write)
+router.post("/:type(deposit|hold|release|refund)", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const { amount, from, memo } = req.body
+
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    const result = await recordTransaction(deal, req.user, req.params.type, { amount, from, memo }, {
+      io: req.app.get("io"),
+      redisClient: req.app.get("redisClient"),
+    })
+
+    if (!result.transaction) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.status(201).json(result)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,61 @@
+const express = require("express")
+const router = express.Router()
+const Deal = require("../models/Deal")
+const User = require("../models/User")
+const { protect } = require("../middleware/auth")
+const { findInvitationByToken, acceptInvitation } = require("../utils/invitations")
+
+// @route   GET /api/invitations/preview?token=
+// @desc    Show what an invitation link is for, and whether to log in or register
+// @access  Public
+router.get("/preview", async (req, res) => {
+  try {
+    const result = await findInvitationByToken(req.query.token)
+
+    if (!result.invitation) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    const { invitation } = result
+    const deal = await Deal.findById(invitation.deal).select("title")
+    const inviter = await User.findById(invitation.invitedBy).select("name")
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      deal: deal && { _id: deal._id, title: deal.title },
+      invitedBy: inviter && inviter.name,
+      expiresAt: invitation.expiresAt,
+      hasAccount: Boolean(await User.exists({ email: invitation.email })),
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/invitations/accept
+// @desc    Accept an invitation as the logged in user (new users pass inviteToken to /api/auth/register)
+// @access  Private
+router.post("/accept", protect, async (req, res) => {
+  try {
+    const result = await findInvitationByToken(req.body.token)
+
+    if (!result.invitation) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    const accepted = await acceptInvitation(result.invitation, req.user, { io: req.app.get("io") })
+
+    if (!accepted.deal) {
+      return res.status(accepted.status).json({ message: accepted.message })
+    }
+
+    res.json(accepted.deal)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
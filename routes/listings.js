@@ -1,9 +1,13 @@
 const express = require("express")
 const router = express.Router()
 const mongoose = require("mongoose")
+const Auction = require("../models/Auction")
 const Listing = require("../models/Listing")
 const User = require("../models/User")
-const { protect, authorize } = require("../middleware/auth")
+const { protectWithScope, requirePermission } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { parsePrice } = require("../utils/money")
+const { parsePriceRange } = require("../utils/exchangeRates")
 const multer = require("multer")
 const path = require("path")
 const fs = require("fs")
@@ -47,11 +51,18 @@ const upload = multer({
 })
 
 // @route   GET /api/listings
-// @desc    Get all listings
+// @desc    Get all listings (minPrice and maxPrice are minor units of ?currency, default
+//          BASE_CURRENCY, and match listings in every currency with an exchange rate)
 // @access  Public
 router.get("/", async (req, res) => {
   try {
-    const { category, minPrice, maxPrice, search, sort, limit = 10, page = 1 } = req.query
+    const { category, search, sort, limit = 10, page = 1 } = req.query
+
+    const priceRange = await parsePriceRange(req.query)
+
+    if (priceRange.message) {
+      return res.status(400).json({ message: priceRange.message })
+    }
 
     // Build query
     const query = { status: "active" }
@@ -60,12 +71,8 @@ router.get("/", async (req, res) => {
       query.category = category
     }
 
-    if (minPrice && maxPrice) {
-      query.price = { $gte: minPrice, $lte: maxPrice }
-    } else if (minPrice) {
-      query.price = { $gte: minPrice }
-    } else if (maxPrice) {
-      query.price = { $lte: maxPrice }
+    if (priceRange.condition) {
+      query.$and = [priceRange.condition]
     }
 
     if (search) {
@@ -136,11 +143,14 @@ router.get("/:id", async (req, res) => {
 })
 
 // @route   POST /api/listings
-// @desc    Create a new listing
-// @access  Private/Seller
-router.post("/", protect, authorize("seller"), upload.array("images", 5), async (req, res) => {
+// @desc    Create a new listing (price in minor units of currency, default BASE_CURRENCY)
+// @access  Private/Seller (API key scope: listings:write)
+router.post("/", protectWithScope("listings:write"), requirePermission("listing.manage"), upload.array("images", 5), async (req, res) => {
   try {
-    const { title, description, price, category, features, tags, location } = req.body
+    const { title, description, price, currency, category, features, tags, location } = req.body
+
+    // Multipart form fields arrive as strings
+    const parsedPrice = parsePrice(Number(price), currency)
 
     // Check if user is suspended
     const user = await User.findById(req.user.id)
@@ -154,6 +164,15 @@ router.post("/", protect, authorize("seller"), upload.array("images", 5), async
       return res.status(403).json({ message: "Your account is suspended. You cannot create listings." })
     }
 
+    if (parsedPrice.message) {
+      if (req.files) {
+        req.files.forEach((file) => {
+          fs.unlinkSync(file.path)
+        })
+      }
+      return res.status(400).json({ message: parsedPrice.message })
+    }
+
     // Process uploaded images
     const images = []
     if (req.files && req.files.length > 0) {
@@ -169,7 +188,8 @@ router.post("/", protect, authorize("seller"), upload.array("images", 5), async
     const listing = new Listing({
       title,
       description,
-      price: Number.parseFloat(price),
+      price: parsedPrice.price,
+      currency: parsedPrice.currency,
       category,
       images,
       seller: req.user.id,
@@ -196,11 +216,11 @@ router.post("/", protect, authorize("seller"), upload.array("images", 5), async
 })
 
 // @route   PUT /api/listings/:id
-// @desc    Update a listing
-// @access  Private/Seller
-router.put("/:id", protect, authorize("seller"), upload.array("images", 5), async (req, res) => {
+// @desc    Update a listing (price in minor units of currency)
+// @access  Private/Seller (API key scope: listings:write)
+router.put("/:id", protectWithScope("listings:write"), requirePermission("listing.manage"), upload.array("images", 5), async (req, res) => {
   try {
-    const { title, description, price, category, features, tags, location, status } = req.body
+    const { title, description, price, currency, category, features, tags, location, status } = req.body
 
     let listing = await Listing.findById(req.params.id)
 
@@ -215,7 +235,7 @@ router.put("/:id", protect, authorize("seller"), upload.array("images", 5), asyn
     }
 
     // Check if user is the owner of the listing
-    if (listing.seller.toString() !== req.user.id && req.user.role !== "admin") {
+    if (listing.seller.toString() !== req.user.id && !(await can(req.user, "listing.manageAny"))) {
       // Remove uploaded files if not authorized
       if (req.files) {
         req.files.forEach((file) => {
@@ -225,6 +245,27 @@ router.put("/:id", protect, authorize("seller"), upload.array("images", 5), asyn
       return res.status(403).json({ message: "Not authorized to update this listing" })
     }
 
+    // The listing has to stay up while bidders are bidding on it
+    if (status && status !== listing.status && (await Auction.exists({ listing: listing._id, status: "open" }))) {
+      if (req.files) {
+        req.files.forEach((file) => {
+          fs.unlinkSync(file.path)
+        })
+      }
+      return res.status(409).json({ message: "Close or cancel the listing's auction before changing its status" })
+    }
+
+    const parsedPrice = parsePrice(price ? Number(price) : listing.price, currency || listing.currency)
+
+    if (parsedPrice.message) {
+      if (req.files) {
+        req.files.forEach((file) => {
+          fs.unlinkSync(file.path)
+        })
+      }
+      return res.status(400).json({ message: parsedPrice.message })
+    }
+
     // Process uploaded images
     const newImages = []
     if (req.files && req.files.length > 0) {
@@ -240,7 +281,8 @@ router.put("/:id", protect, authorize("seller"), upload.array("images", 5), asyn
     const updatedListing = {
       title: title || listing.title,
       description: description || listing.description,
-      price: price ? Number.parseFloat(price) : listing.price,
+      price: parsedPrice.price,
+      currency: parsedPrice.currency,
       category: category || listing.category,
       features: features ? features.split(",").map((feature) => feature.trim()) : listing.features,
       tags: tags ? tags.split(",").map((tag) => tag.trim()) : listing.tags,
@@ -280,8 +322,8 @@ router.put("/:id", protect, authorize("seller"), upload.array("images", 5), asyn
 
 // @route   DELETE /api/listings/:id
 // @desc    Delete a listing
-// @access  Private/Seller or Admin
-router.delete("/:id", protect, async (req, res) => {
+// @access  Private/Seller or Admin (API key scope: listings:write)
+router.delete("/:id", protectWithScope("listings:write"), async (req, res) => {
   try {
     const listing = await Listing.findById(req.params.id)
 
@@ -290,10 +332,14 @@ router.delete("/:id", protect, async (req, res) => {
     }
 
     // Check if user is the owner of the listing or an admin
-    if (listing.seller.toString() !== req.user.id && req.user.role !== "admin") {
+    if (listing.seller.toString() !== req.user.id && !(await can(req.user, "listing.manageAny"))) {
       return res.status(403).json({ message: "Not authorized to delete this listing" })
     }
 
+    if (await Auction.exists({ listing: listing._id, status: "open" })) {
+      return res.status(409).json({ message: "Close or cancel the listing's auction before deleting it" })
+    }
+
     // Delete images from filesystem
     listing.images.forEach((image) => {
       const filePath = path.join(__dirname, "..", "uploads", "listings", image.filename)
@@ -0,0 +1,138 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const Deal = require("../models/Deal")
+const NdaAcceptance = require("../models/NdaAcceptance")
+const { protect, protectWithScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { deviceFromRequest } = require("../utils/sessions")
+const { currentNda, setNda, removeNda, acceptNda } = require("../utils/nda")
+
+// @route   GET /api/deals/:id/nda
+// @desc    Get the deal's current NDA and whether the user has accepted it
+// @access  Private (API key scope: deals:read)
+router.get("/", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "deal.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to access this deal" })
+    }
+
+    const nda = await currentNda(deal._id)
+    const acceptance = nda && (await NdaAcceptance.findOne({ nda: nda._id, user: req.user._id }))
+
+    res.json({ nda, acceptance: acceptance || null })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/deals/:id/nda
+// @desc    Attach an NDA to the deal or change its text ({ text }); a change must be accepted again
+// @access  Private (API key scope: deals:write)
+router.put("/", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    const result = await setNda(deal, req.user, req.body.text, { ...deviceFromRequest(req), io: req.app.get("io") })
+
+    if (!result.nda) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.json(result.nda)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/deals/:id/nda
+// @desc    Stop requiring an NDA for the deal's documents
+// @access  Private (API key scope: deals:write)
+router.delete("/", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    const result = await removeNda(deal, req.user, { io: req.app.get("io") })
+
+    if (!result.nda) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.json({ message: "NDA removed" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/nda/accept
+// @desc    Accept the NDA version the user was shown ({ version })
+// @access  Private
+router.post("/accept", protect, async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    const result = await acceptNda(
+      deal,
+      req.user,
+      { version: req.body.version, ...deviceFromRequest(req) },
+      { io: req.app.get("io") },
+    )
+
+    if (!result.acceptance) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.json(result.acceptance)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/deals/:id/nda/acceptances
+// @desc    Get who accepted which NDA version, when and from where
+// @access  Private (API key scope: deals:read)
+router.get("/acceptances", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "nda.manage", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to manage the NDA for this deal" })
+    }
+
+    const acceptances = await NdaAcceptance.find({ deal: deal._id })
+      .populate("user", "name email role")
+      .sort({ acceptedAt: -1 })
+
+    res.json(acceptances)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
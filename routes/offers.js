@@ -0,0 +1,90 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const Deal = require("../models/Deal")
+const Offer = require("../models/Offer")
+const { protectWithScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { expireOffers, makeOffer, respondToOffer } = require("../utils/offers")
+
+// @route   GET /api/deals/:id/offers
+// @desc    Get the offers made on a deal, newest first
+// @access  Private (API key scope: deals:read)
+router.get("/", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "price.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to view offers for this deal" })
+    }
+
+    await expireOffers(deal._id)
+
+    const offers = await Offer.find({ deal: deal._id })
+      .populate("createdBy", "name email role")
+      .populate("respondedBy", "name email role")
+      .sort({ createdAt: -1 })
+
+    res.json(offers)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/offers
+// @desc    Make an offer ({ amount } in minor units of the deal's currency; pass counters: <offerId> to counter an open offer)
+// @access  Private (API key scope: deals:write)
+router.post("/", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const { amount, terms, expiresAt, counters } = req.body
+
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    const result = await makeOffer(deal, req.user, { amount, terms, expiresAt, counters }, { io: req.app.get("io") })
+
+    if (!result.offer) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.status(201).json(result.offer)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/offers/:offerId/:action
+// @desc    Accept, reject or withdraw an offer
+// @access  Private (API key scope: deals:write)
+router.post("/:offerId/:action(accept|reject|withdraw)", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    const result = await respondToOffer(deal, req.user, req.params.offerId, req.params.action, {
+      io: req.app.get("io"),
+    })
+
+    if (!result.offer) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    res.json(result.offer)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,310 @@
+const express = require("express")
+const router = express.Router()
+const mongoose = require("mongoose")
+const Organization = require("../models/Organization")
+const OrganizationInvitation = require("../models/OrganizationInvitation")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { protect } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+
+const ORG_ROLES = ["owner", "member", "viewer"]
+
+// Owners of the organization (and admins) may manage its members
+const canManageMembers = (user, orgId) => can(user, "organization.manageMembers", { organization: orgId })
+
+// Check the ids in the route are ObjectIds. Returns true, or sends the error
+// response and returns false.
+const checkIds = (req, res, names) => {
+  if (names.every((name) => mongoose.isValidObjectId(req.params[name]))) {
+    return true
+  }
+
+  res.status(400).json({ message: "Invalid id" })
+  return false
+}
+
+// @route   POST /api/organizations
+// @desc    Create an organization with the current user as owner
+// @access  Private
+router.post("/", protect, async (req, res) => {
+  try {
+    const { name, description } = req.body
+
+    if (req.user.organization) {
+      return res.status(400).json({ message: "You already belong to an organization" })
+    }
+
+    const organization = new Organization({
+      name,
+      description,
+      createdBy: req.user.id,
+    })
+
+    await organization.save()
+
+    await User.findByIdAndUpdate(req.user.id, {
+      $set: { organization: organization._id, organizationRole: "owner" },
+    })
+
+    res.status(201).json(organization)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/organizations/mine
+// @desc    Get the current user's organization and its members
+// @access  Private
+router.get("/mine", protect, async (req, res) => {
+  try {
+    if (!req.user.organization) {
+      return res.status(404).json({ message: "You do not belong to an organization" })
+    }
+
+    const organization = await Organization.findById(req.user.organization)
+
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found" })
+    }
+
+    const members = await User.find({ organization: organization._id })
+      .select("name email role organizationRole")
+      .sort({ name: 1 })
+
+    res.json({ ...organization.toObject(), members })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/organizations/:id/members
+// @desc    Invite an existing user to the organization; they join once they accept
+// @access  Private/Owner
+router.post("/:id/members", protect, async (req, res) => {
+  try {
+    const { email, role = "member" } = req.body
+
+    if (!checkIds(req, res, ["id"])) {
+      return
+    }
+
+    if (typeof email !== "string" || !email.trim()) {
+      return res.status(400).json({ message: "Please provide an email" })
+    }
+
+    if (!ORG_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid organization role" })
+    }
+
+    if (!(await canManageMembers(req.user, req.params.id))) {
+      return res.status(403).json({ message: "Only organization owners can add members" })
+    }
+
+    const organization = await Organization.findById(req.params.id)
+
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found" })
+    }
+
+    const user = await User.findOne({ email: { $in: [email.trim(), email.trim().toLowerCase()] } })
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.organization) {
+      return res.status(400).json({ message: "User already belongs to an organization" })
+    }
+
+    if (await OrganizationInvitation.exists({ organization: organization._id, user: user._id, status: "pending" })) {
+      return res.status(400).json({ message: "This user already has a pending invitation" })
+    }
+
+    const invitation = new OrganizationInvitation({
+      organization: organization._id,
+      user: user._id,
+      role,
+      invitedBy: req.user._id,
+    })
+
+    await invitation.save()
+
+    const notification = new Notification({
+      user: user._id,
+      type: "organization",
+      content: `${req.user.name} invited you to join the organization "${organization.name}"`,
+      read: false,
+    })
+
+    await notification.save()
+
+    req.app.get("io").to(`user:${user._id}`).emit("new_notification", notification)
+
+    res.status(201).json(invitation)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   GET /api/organizations/invitations/mine
+// @desc    Get the current user's pending organization invitations
+// @access  Private
+router.get("/invitations/mine", protect, async (req, res) => {
+  try {
+    const invitations = await OrganizationInvitation.find({ user: req.user._id, status: "pending" })
+      .populate("organization", "name description")
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 })
+
+    res.json(invitations)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/organizations/invitations/:invitationId/:action
+// @desc    Accept or decline an invitation to an organization
+// @access  Private
+router.post("/invitations/:invitationId/:action(accept|decline)", protect, async (req, res) => {
+  try {
+    if (!checkIds(req, res, ["invitationId"])) {
+      return
+    }
+
+    const invitation = await OrganizationInvitation.findOne({ _id: req.params.invitationId, user: req.user._id })
+
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    if (invitation.status !== "pending") {
+      return res.status(409).json({ message: `This invitation has already been ${invitation.status}` })
+    }
+
+    const accept = req.params.action === "accept"
+
+    if (accept) {
+      if (!(await Organization.exists({ _id: invitation.organization }))) {
+        return res.status(404).json({ message: "Organization not found" })
+      }
+
+      // Only join if the user hasn't joined another organization meanwhile
+      const user = await User.findOneAndUpdate(
+        { _id: req.user._id, organization: null },
+        { $set: { organization: invitation.organization, organizationRole: invitation.role } },
+        { new: true },
+      )
+
+      if (!user) {
+        return res.status(400).json({ message: "You already belong to an organization" })
+      }
+    }
+
+    invitation.status = accept ? "accepted" : "declined"
+    invitation.respondedAt = Date.now()
+    await invitation.save()
+
+    res.json(invitation)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/organizations/:id/members/:userId
+// @desc    Change a member's organization role
+// @access  Private/Owner
+router.put("/:id/members/:userId", protect, async (req, res) => {
+  try {
+    const { role } = req.body
+
+    if (!checkIds(req, res, ["id", "userId"])) {
+      return
+    }
+
+    if (!ORG_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid organization role" })
+    }
+
+    if (!(await canManageMembers(req.user, req.params.id))) {
+      return res.status(403).json({ message: "Only organization owners can change member roles" })
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, organization: req.params.id })
+
+    if (!user) {
+      return res.status(404).json({ message: "Member not found" })
+    }
+
+    // Keep at least one owner
+    if (user.organizationRole === "owner" && role !== "owner") {
+      const owners = await User.countDocuments({ organization: req.params.id, organizationRole: "owner" })
+
+      if (owners <= 1) {
+        return res.status(400).json({ message: "An organization must have at least one owner" })
+      }
+    }
+
+    user.organizationRole = role
+    await user.save()
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      organizationRole: user.organizationRole,
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member from the organization (members may remove themselves)
+// @access  Private
+router.delete("/:id/members/:userId", protect, async (req, res) => {
+  try {
+    if (!checkIds(req, res, ["id", "userId"])) {
+      return
+    }
+
+    const isSelf = req.params.userId === req.user.id
+
+    if (!isSelf && !(await canManageMembers(req.user, req.params.id))) {
+      return res.status(403).json({ message: "Only organization owners can remove members" })
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, organization: req.params.id })
+
+    if (!user) {
+      return res.status(404).json({ message: "Member not found" })
+    }
+
+    // Keep at least one owner
+    if (user.organizationRole === "owner") {
+      const owners = await User.countDocuments({ organization: req.params.id, organizationRole: "owner" })
+
+      if (owners <= 1) {
+        return res.status(400).json({ message: "An organization must have at least one owner" })
+      }
+    }
+
+    user.organization = undefined
+    user.organizationRole = undefined
+    await user.save()
+
+    res.json({ message: "Member removed" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,259 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const Deal = require("../models/Deal")
+const User = require("../models/User")
+const { protectWithScope } = require("../middleware/auth")
+const {
+  can,
+  PARTICIPANT_PERMISSIONS,
+  DEAL_PARTICIPANT_ROLES,
+  PARTICIPANT_ROLE_SIDES: ROLE_SIDES,
+  DEAL_PERMISSIONS,
+  resolveParticipantSide,
+} = require("../utils/permissions")
+const { getDealParticipation, idOf } = require("../utils/dealAccess")
+const { notifyDealMembers } = require("../utils/notifications")
+const { recordDealEvent } = require("../utils/dealEvents")
+
+const findParticipant = (deal, userId) => deal.participants.find((entry) => idOf(entry.user) === userId)
+
+// People can only change or remove participants on their own side of the
+// deal, unless they hold deal.assignAnySide (see resolveParticipantSide)
+const canManageSideOf = async (deal, actor, participant) =>
+  (participant.side || undefined) === (getDealParticipation(deal, actor).side || undefined) ||
+  (await can(actor, "deal.assignAnySide"))
+
+// Validate the role, side and permissions of a participant. The side must be
+// the acting user's own (see resolveParticipantSide). Permissions default to
+// the role's and may only include ones the acting user holds on the deal.
+// Returns { role, side, permissions } or { message } when invalid.
+const resolveParticipant = async (deal, actor, { role, side, permissions }) => {
+  if (!DEAL_PARTICIPANT_ROLES.includes(role)) {
+    return { message: `Role must be one of: ${DEAL_PARTICIPANT_ROLES.join(", ")}` }
+  }
+
+  const { side: resolvedSide, message } = await resolveParticipantSide(deal, actor, role, side)
+
+  if (message) {
+    return { message }
+  }
+
+  if (permissions === undefined) {
+    return { role, side: resolvedSide, permissions: PARTICIPANT_PERMISSIONS[role] }
+  }
+
+  if (!Array.isArray(permissions) || !permissions.every((permission) => DEAL_PERMISSIONS.includes(permission))) {
+    return { message: `Permissions must be a list of: ${DEAL_PERMISSIONS.join(", ")}` }
+  }
+
+  for (const permission of permissions) {
+    if (!(await can(actor, permission, { deal }))) {
+      return { message: `You cannot grant ${permission} because you do not hold it on this deal` }
+    }
+  }
+
+  return { role, side: resolvedSide, permissions }
+}
+
+// @route   GET /api/deals/:id/participants
+// @desc    Get everyone on a deal
+// @access  Private (API key scope: deals:read)
+router.get("/", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+      .populate("buyer", "name email role")
+      .populate("seller", "name email role")
+      .populate("participants.user", "name email role")
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "deal.view", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to view this deal" })
+    }
+
+    res.json({
+      buyer: deal.buyer,
+      seller: deal.seller,
+      participants: deal.participants,
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/participants
+// @desc    Add someone to a deal by email with a role (and optionally a side and permissions)
+// @access  Private (API key scope: deals:write)
+router.post("/", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const { email, role, side, permissions } = req.body
+
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "deal.manageParticipants", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to manage participants of this deal" })
+    }
+
+    if (deal.isFrozen() && !(await can(req.user, "deal.overrideFreeze"))) {
+      return res.status(423).json({ message: "This deal is frozen while a participant's account is suspended" })
+    }
+
+    const user = await User.findOne({ email })
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const userId = user._id.toString()
+
+    if (idOf(deal.buyer) === userId || idOf(deal.seller) === userId || findParticipant(deal, userId)) {
+      return res.status(400).json({ message: "User is already on this deal" })
+    }
+
+    const resolved = await resolveParticipant(deal, req.user, { role, side, permissions })
+
+    if (resolved.message) {
+      return res.status(400).json({ message: resolved.message })
+    }
+
+    deal.participants.push({ user: user._id, ...resolved, addedBy: req.user._id })
+    await deal.save()
+
+    await recordDealEvent(deal, req.user, "participant.added", { subject: user, after: resolved })
+
+    await notifyDealMembers(req.app.get("io"), deal, {
+      actor: req.user,
+      type: "participant",
+      content: `${req.user.name} added ${user.name} to deal "${deal.title}" as ${role}`,
+    })
+
+    await deal.populate("participants.user", "name email role")
+
+    res.status(201).json(findParticipant(deal, userId))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/deals/:id/participants/:userId
+// @desc    Change a participant's role, side or permissions
+// @access  Private (API key scope: deals:write)
+router.put("/:userId", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    if (!(await can(req.user, "deal.manageParticipants", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to manage participants of this deal" })
+    }
+
+    if (deal.isFrozen() && !(await can(req.user, "deal.overrideFreeze"))) {
+      return res.status(423).json({ message: "This deal is frozen while a participant's account is suspended" })
+    }
+
+    const participant = findParticipant(deal, req.params.userId)
+
+    if (!participant) {
+      return res.status(404).json({ message: "Participant not found" })
+    }
+
+    if (!(await canManageSideOf(deal, req.user, participant))) {
+      return res.status(403).json({ message: "You can only change participants on your side of this deal" })
+    }
+
+    // A new role brings its default permissions unless others are given
+    const role = req.body.role || participant.role
+    const resolved = await resolveParticipant(deal, req.user, {
+      role,
+      side: req.body.side || (ROLE_SIDES[role] ? undefined : participant.side),
+      permissions: req.body.permissions || (req.body.role ? undefined : participant.permissions),
+    })
+
+    if (resolved.message) {
+      return res.status(400).json({ message: resolved.message })
+    }
+
+    const before = { role: participant.role, side: participant.side, permissions: [...participant.permissions] }
+
+    participant.set(resolved)
+    await deal.save()
+
+    await recordDealEvent(deal, req.user, "participant.updated", {
+      subject: participant.user,
+      before,
+      after: { role: participant.role, side: participant.side, permissions: [...participant.permissions] },
+    })
+
+    await deal.populate("participants.user", "name email role")
+
+    res.json(findParticipant(deal, req.params.userId))
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/deals/:id/participants/:userId
+// @desc    Remove a participant from a deal (participants may remove themselves)
+// @access  Private (API key scope: deals:write)
+router.delete("/:userId", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id)
+
+    if (!deal) {
+      return res.status(404).json({ message: "Deal not found" })
+    }
+
+    const isSelf = req.params.userId === req.user.id
+
+    if (!isSelf && !(await can(req.user, "deal.manageParticipants", { deal }))) {
+      return res.status(403).json({ message: "Not authorized to manage participants of this deal" })
+    }
+
+    const participant = findParticipant(deal, req.params.userId)
+
+    if (!participant) {
+      return res.status(404).json({ message: "Participant not found" })
+    }
+
+    if (!isSelf && !(await canManageSideOf(deal, req.user, participant))) {
+      return res.status(403).json({ message: "You can only remove participants on your side of this deal" })
+    }
+
+    deal.participants.pull(participant._id)
+    await deal.save()
+
+    await recordDealEvent(deal, req.user, "participant.removed", {
+      subject: participant.user,
+      before: { role: participant.role, side: participant.side, permissions: [...participant.permissions] },
+    })
+
+    // Drop them from the live deal room
+    const io = req.app.get("io")
+    io.in(`user:${req.params.userId}`).socketsLeave(`deal:${deal._id}`)
+
+    await notifyDealMembers(io, deal, {
+      actor: req.user,
+      type: "participant",
+      content: `${req.user.name} removed a participant from deal "${deal.title}"`,
+    })
+
+    res.json({ message: "Participant removed" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,292 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const mongoose = require("mongoose")
+const Deal = require("../models/Deal")
+const Task = require("../models/Task")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { protectWithScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { isTerminal } = require("../utils/dealStateMachine")
+const { recordDealEvent } = require("../utils/dealEvents")
+const { checkDependencies, unfinishedDependencies } = require("../utils/tasks")
+
+const TASK_FIELDS = ["title", "description", "kind", "status", "assignee", "dueDate", "dependencies"]
+
+const snapshot = (task) => ({
+  title: task.title,
+  description: task.description,
+  kind: task.kind,
+  status: task.status,
+  assignee: task.assignee,
+  dueDate: task.dueDate,
+  dependencies: [...task.dependencies],
+})
+
+// Load the deal and check the user may use its tasks (and change them, unless
+// the deal is frozen). Returns the deal, or sends the error response and
+// returns null.
+const loadDeal = async (req, res, permission, { write = false } = {}) => {
+  const deal = await Deal.findById(req.params.id)
+
+  if (!deal) {
+    res.status(404).json({ message: "Deal not found" })
+    return null
+  }
+
+  if (!(await can(req.user, permission, { deal }))) {
+    res.status(403).json({ message: "Not authorized to manage tasks for this deal" })
+    return null
+  }
+
+  if (write && deal.isFrozen() && !(await can(req.user, "deal.overrideFreeze"))) {
+    res.status(423).json({ message: "This deal is frozen while a participant's account is suspended" })
+    return null
+  }
+
+  return deal
+}
+
+// Assignees must be able to see the deal
+const checkAssignee = async (deal, assigneeId) => {
+  if (!mongoose.isValidObjectId(assigneeId)) {
+    return null
+  }
+
+  const assignee = await User.findById(assigneeId)
+  return assignee && (await can(assignee, "deal.view", { deal })) ? assignee : null
+}
+
+const notifyAssignee = async (req, deal, task) => {
+  if (!task.assignee || task.assignee.toString() === req.user.id) {
+    return
+  }
+
+  const notification = new Notification({
+    user: task.assignee,
+    type: "task",
+    content: `${req.user.name} assigned you "${task.title}" in deal "${deal.title}"`,
+    dealId: deal._id,
+    read: false,
+  })
+
+  await notification.save()
+
+  req.app.get("io").to(`user:${task.assignee}`).emit("new_notification", notification)
+}
+
+// @route   GET /api/deals/:id/tasks
+// @desc    Get a deal's tasks and milestones (?status=, ?assignee=, ?overdue=true)
+// @access  Private (API key scope: deals:read)
+router.get("/", protectWithScope("deals:read"), async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res, "task.view")
+
+    if (!deal) {
+      return
+    }
+
+    const { status, assignee, overdue } = req.query
+
+    if (assignee && assignee !== "me" && !mongoose.isValidObjectId(assignee)) {
+      return res.status(400).json({ message: "Invalid assignee" })
+    }
+
+    const query = { deal: deal._id }
+
+    if (status) query.status = status
+    if (assignee) query.assignee = assignee === "me" ? req.user._id : assignee
+
+    if (overdue === "true") {
+      query.status = { $in: ["todo", "in-progress"] }
+      query.dueDate = { $lt: new Date() }
+    }
+
+    const tasks = await Task.find(query)
+      .populate("assignee", "name email role")
+      .populate("dependencies", "title status")
+      .sort({ dueDate: 1, createdAt: 1 })
+
+    res.json(tasks)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   POST /api/deals/:id/tasks
+// @desc    Create a task or milestone
+// @access  Private (API key scope: deals:write)
+router.post("/", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res, "task.manage", { write: true })
+
+    if (!deal) {
+      return
+    }
+
+    if (isTerminal(deal.status)) {
+      return res.status(400).json({ message: "Cannot add tasks to a closed or cancelled deal" })
+    }
+
+    const { title, description, kind, assignee, dueDate, dependencies = [] } = req.body
+
+    if (assignee && !(await checkAssignee(deal, assignee))) {
+      return res.status(400).json({ message: "Tasks can only be assigned to people on the deal" })
+    }
+
+    const dependencyError = await checkDependencies(deal._id, null, dependencies)
+
+    if (dependencyError) {
+      return res.status(400).json({ message: dependencyError })
+    }
+
+    const task = new Task({
+      deal: deal._id,
+      title,
+      description,
+      kind,
+      assignee,
+      dueDate,
+      dependencies,
+      createdBy: req.user._id,
+    })
+
+    await task.save()
+
+    await recordDealEvent(deal, req.user, "task.created", { subject: task, after: snapshot(task) })
+    await notifyAssignee(req, deal, task)
+
+    await task.populate("assignee", "name email role")
+
+    req.app.get("io").to(`deal:${deal._id}`).emit("task_created", task)
+
+    res.status(201).json(task)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   PUT /api/deals/:id/tasks/:taskId
+// @desc    Update a task (assignees may update the status of their own tasks)
+// @access  Private (API key scope: deals:write)
+router.put("/:taskId", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res, "task.view", { write: true })
+
+    if (!deal) {
+      return
+    }
+
+    if (isTerminal(deal.status)) {
+      return res.status(400).json({ message: "Cannot change tasks of a closed or cancelled deal" })
+    }
+
+    if (!mongoose.isValidObjectId(req.params.taskId)) {
+      return res.status(400).json({ message: "Invalid task id" })
+    }
+
+    const task = await Task.findOne({ _id: req.params.taskId, deal: deal._id })
+
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" })
+    }
+
+    const canManage = await can(req.user, "task.manage", { deal })
+    const isAssignee = task.assignee && task.assignee.toString() === req.user.id
+    const fields = TASK_FIELDS.filter((field) => req.body[field] !== undefined)
+
+    if (!canManage && !(isAssignee && fields.every((field) => field === "status"))) {
+      return res.status(403).json({ message: "Not authorized to update this task" })
+    }
+
+    const { assignee, dependencies, status } = req.body
+
+    if (assignee && !(await checkAssignee(deal, assignee))) {
+      return res.status(400).json({ message: "Tasks can only be assigned to people on the deal" })
+    }
+
+    if (dependencies !== undefined) {
+      const dependencyError = await checkDependencies(deal._id, task._id, dependencies)
+
+      if (dependencyError) {
+        return res.status(400).json({ message: dependencyError })
+      }
+    }
+
+    const before = snapshot(task)
+    const previousAssignee = task.assignee && task.assignee.toString()
+
+    fields.forEach((field) => task.set(field, req.body[field]))
+
+    // A task can't be done before the tasks it depends on
+    if (status === "done" && before.status !== "done") {
+      const blocking = await unfinishedDependencies(task)
+
+      if (blocking.length > 0) {
+        return res.status(409).json({
+          message: `Finish these tasks first: ${blocking.map((dependency) => dependency.title).join(", ")}`,
+        })
+      }
+
+      task.completedAt = Date.now()
+    } else if (status && status !== "done") {
+      task.completedAt = undefined
+    }
+
+    await task.save()
+
+    await recordDealEvent(deal, req.user, "task.updated", { subject: task, before, after: snapshot(task) })
+
+    if (task.assignee && task.assignee.toString() !== previousAssignee) {
+      await notifyAssignee(req, deal, task)
+    }
+
+    await task.populate("assignee", "name email role")
+
+    req.app.get("io").to(`deal:${deal._id}`).emit("task_updated", task)
+
+    res.json(task)
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+// @route   DELETE /api/deals/:id/tasks/:taskId
+// @desc    Delete a task (it is removed from other tasks' dependencies)
+// @access  Private (API key scope: deals:write)
+router.delete("/:taskId", protectWithScope("deals:write"), async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res, "task.manage", { write: true })
+
+    if (!deal) {
+      return
+    }
+
+    if (!mongoose.isValidObjectId(req.params.taskId)) {
+      return res.status(400).json({ message: "Invalid task id" })
+    }
+
+    const task = await Task.findOne({ _id: req.params.taskId, deal: deal._id })
+
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" })
+    }
+
+    await Task.findByIdAndDelete(task._id)
+    await Task.updateMany({ deal: deal._id, dependencies: task._id }, { $pull: { dependencies: task._id } })
+
+    await recordDealEvent(deal, req.user, "task.deleted", { subject: task, before: snapshot(task) })
+
+    req.app.get("io").to(`deal:${deal._id}`).emit("task_deleted", { taskId: task._id })
+
+    res.json({ message: "Task deleted" })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
+module.exports = router
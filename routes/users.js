@@ -1,7 +1,13 @@
 const express = require("express")
 const router = express.Router()
+const mongoose = require("mongoose")
 const User = require("../models/User")
+const LoginEvent = require("../models/LoginEvent")
 const { protect } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { signEmailVerificationToken } = require("../utils/tokens")
+const { sendMail } = require("../utils/mail")
+const { verificationEmail } = require("../utils/mail/templates")
 
 // @route   GET /api/users/profile
 // @desc    Get user profile
@@ -54,8 +60,18 @@ router.put("/profile", protect, async (req, res) => {
       }
     }
 
+    // A new email address has to be verified again
+    const emailChanged = email && email !== user.email
+    if (emailChanged) userFields.emailVerified = false
+
     user = await User.findByIdAndUpdate(req.user.id, { $set: userFields }, { new: true })
 
+    if (emailChanged) {
+      sendMail(verificationEmail(user, signEmailVerificationToken(user))).catch((err) =>
+        console.error("Error sending verification email:", err.message),
+      )
+    }
+
     res.json({
       _id: user._id,
       name: user.name,
@@ -111,5 +127,60 @@ router.put("/password", protect, async (req, res) => {
   }
 })
 
+const MAX_LOGINS_LIMIT = 100
+
+// @route   GET /api/users/security/logins
+// @desc    Get login history of the current user (admins may pass ?user=<id> or ?email=; limit 1-100)
+// @access  Private
+router.get("/security/logins", protect, async (req, res) => {
+  try {
+    const { user, email, success } = req.query
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), MAX_LOGINS_LIMIT)
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+
+    if (user !== undefined && !mongoose.isValidObjectId(user)) {
+      return res.status(400).json({ message: "Invalid user id" })
+    }
+
+    if (email !== undefined && typeof email !== "string") {
+      return res.status(400).json({ message: "Invalid email" })
+    }
+
+    // Users only see their own history; admins can look at anyone's
+    let query = { user: req.user._id }
+
+    const canViewOthers = await can(req.user, "user.viewLogins")
+
+    if (canViewOthers && (user || email)) {
+      query = user ? { user } : { email: email.toLowerCase() }
+    } else if (user || email) {
+      return res.status(403).json({ message: "Not authorized to view other users' logins" })
+    }
+
+    if (success === "true" || success === "false") {
+      query.success = success === "true"
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit
+
+    const logins = await LoginEvent.find(query).sort({ createdAt: -1 }).limit(limit).skip(skip)
+
+    const total = await LoginEvent.countDocuments(query)
+
+    res.json({
+      logins,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    })
+  } catch (err) {
+    console.error(err.message)
+    res.status(500).json({ message: "Server Error" })
+  }
+})
+
 module.exports = router
 
@@ -0,0 +1,100 @@
+// Move prices stored as decimal amounts onto integer minor units with a
+// currency. Everything priced before currencies existed is taken to be in
+// BASE_CURRENCY. Documents that already have a currency are left alone, so the
+// script can be run again safely.
+//
+//   npm run migrate-currency
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+const mongoose = require("mongoose")
+const { BASE_CURRENCY, minorDigits } = require("../utils/money")
+
+const FACTOR = 10 ** minorDigits(BASE_CURRENCY)
+
+// Aggregation expression converting a field (or $$this.<field> inside $map);
+// missing fields stay missing
+const toMinor = (field) => ({
+  $cond: [
+    { $eq: [{ $type: field }, "missing"] },
+    "$$REMOVE",
+    { $toLong: { $round: [{ $multiply: [field, FACTOR] }, 0] } },
+  ],
+})
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI)
+
+  const db = mongoose.connection
+  const unmigrated = { currency: { $exists: false } }
+
+  let result = await db.collection("deals").updateMany(unmigrated, [
+    {
+      $set: {
+        price: toMinor("$price"),
+        currency: BASE_CURRENCY,
+        priceHistory: {
+          $map: {
+            input: { $ifNull: ["$priceHistory", []] },
+            in: { $mergeObjects: ["$$this", { price: toMinor("$$this.price"), currency: BASE_CURRENCY }] },
+          },
+        },
+      },
+    },
+  ])
+  console.log(`deals: ${result.modifiedCount}`)
+
+  result = await db.collection("listings").updateMany(unmigrated, [
+    { $set: { price: toMinor("$price"), currency: BASE_CURRENCY } },
+  ])
+  console.log(`listings: ${result.modifiedCount}`)
+
+  result = await db.collection("offers").updateMany(unmigrated, [
+    { $set: { amount: toMinor("$amount"), currency: BASE_CURRENCY } },
+  ])
+  console.log(`offers: ${result.modifiedCount}`)
+
+  result = await db.collection("ledgertransactions").updateMany(unmigrated, [
+    {
+      $set: {
+        amount: toMinor("$amount"),
+        currency: BASE_CURRENCY,
+        entries: {
+          $map: {
+            input: "$entries",
+            in: { $mergeObjects: ["$$this", { amount: toMinor("$$this.amount") }] },
+          },
+        },
+      },
+    },
+  ])
+  console.log(`ledger transactions: ${result.modifiedCount}`)
+
+  // Bids have no currency of their own, so convert them with their auction
+  const auctionIds = await db.collection("auctions").distinct("_id", unmigrated)
+
+  result = await db.collection("bids").updateMany({ auction: { $in: auctionIds } }, [
+    { $set: { amount: toMinor("$amount") } },
+  ])
+  console.log(`bids: ${result.modifiedCount}`)
+
+  result = await db.collection("auctions").updateMany({ _id: { $in: auctionIds } }, [
+    {
+      $set: {
+        currency: BASE_CURRENCY,
+        reservePrice: toMinor("$reservePrice"),
+        startingPrice: toMinor("$startingPrice"),
+        minIncrement: toMinor("$minIncrement"),
+      },
+    },
+  ])
+  console.log(`auctions: ${result.modifiedCount}`)
+
+  await mongoose.disconnect()
+}
+
+migrate().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
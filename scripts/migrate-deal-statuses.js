@@ -0,0 +1,32 @@
+// Move deals created before the deal state machine onto its statuses.
+//
+//   npm run migrate-deal-statuses
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+const mongoose = require("mongoose")
+
+const LEGACY_STATUSES = {
+  pending: "open",
+  "in-progress": "negotiating",
+  completed: "closed",
+}
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI)
+
+  const deals = mongoose.connection.collection("deals")
+
+  for (const [from, to] of Object.entries(LEGACY_STATUSES)) {
+    const result = await deals.updateMany({ status: from }, { $set: { status: to } })
+    console.log(`${from} -> ${to}: ${result.modifiedCount} deal(s)`)
+  }
+
+  await mongoose.disconnect()
+}
+
+migrate().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
@@ -0,0 +1,27 @@
+// Mark accounts created before email verification existed as verified, so
+// their owners aren't asked to verify addresses they have been using all
+// along. Accounts created since always have emailVerified set, so the script
+// can be run again safely.
+//
+//   npm run migrate-email-verified
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+const mongoose = require("mongoose")
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI)
+
+  const result = await mongoose.connection
+    .collection("users")
+    .updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } })
+  console.log(`users: ${result.modifiedCount}`)
+
+  await mongoose.disconnect()
+}
+
+migrate().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
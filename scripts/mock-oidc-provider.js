@@ -0,0 +1,55 @@
+// Local OpenID Connect provider for trying single sign-on offline.
+//
+//   npm run mock-oidc
+//
+// Then point the server at it:
+//   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=virtual-deal-room
+//   OIDC_CLIENT_SECRET=mock-secret OIDC_REDIRECT_URI=<same as below>
+//
+// The login page accepts any email as the username; the "role" claim is
+// taken from MOCK_OIDC_ROLE (defaults to "buyer").
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+const { Provider } = require("oidc-provider")
+
+const PORT = process.env.MOCK_OIDC_PORT || 9400
+const issuer = `http://localhost:${PORT}`
+
+const provider = new Provider(issuer, {
+  clients: [
+    {
+      client_id: process.env.MOCK_OIDC_CLIENT_ID || "virtual-deal-room",
+      client_secret: process.env.MOCK_OIDC_CLIENT_SECRET || "mock-secret",
+      redirect_uris: [process.env.OIDC_REDIRECT_URI || "http://localhost:3000/auth/oidc/callback"],
+      grant_types: ["authorization_code"],
+      response_types: ["code"],
+    },
+  ],
+  pkce: {
+    required: () => true,
+    methods: ["S256"],
+  },
+  claims: {
+    openid: ["sub"],
+    email: ["email", "email_verified"],
+    profile: ["name", "role"],
+  },
+  // Put the claims in the ID token so no userinfo call is needed
+  conformIdTokenClaims: false,
+  findAccount: async (ctx, id) => ({
+    accountId: id,
+    claims: async () => ({
+      sub: id,
+      email: id.includes("@") ? id : `${id}@example.com`,
+      email_verified: true,
+      name: id.split("@")[0],
+      role: process.env.MOCK_OIDC_ROLE || "buyer",
+    }),
+  }),
+})
+
+provider.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${issuer}`)
+})
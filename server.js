@@ -20,12 +20,38 @@ const userRoutes = require("./routes/users");
 const dealRoutes = require("./routes/deals");
 const notificationRoutes = require("./routes/notifications");
 const adminRoutes = require("./routes/admin");
+const organizationRoutes = require("./routes/organizations");
+const apiKeyRoutes = require("./routes/apiKeys");
+const listingRoutes = require("./routes/listings");
+const offerRoutes = require("./routes/offers");
+const participantRoutes = require("./routes/participants");
+const taskRoutes = require("./routes/tasks");
+const dealInvitationRoutes = require("./routes/dealInvitations");
+const invitationRoutes = require("./routes/invitations");
+const escrowRoutes = require("./routes/escrow");
+const auctionRoutes = require("./routes/auctions");
+const ndaRoutes = require("./routes/nda");
+const agreementRoutes = require("./routes/agreements");
+
+const { getApiKeyFromRequest, verifyApiKey } = require("./utils/apiKeys");
 
 // Import socket handler
 const socketHandler = require("./socket");
+const { startTaskReminders } = require("./utils/tasks");
+const { startAuctionScheduler } = require("./utils/auctions");
+const { startDealScheduler } = require("./utils/dealDeadlines");
 
 // Create Express app
 const app = express();
+
+// Behind a reverse proxy, req.ip (used by the rate limiter and the per-IP
+// login lockout) must come from X-Forwarded-For, or every request looks like
+// it came from the proxy. Set TRUST_PROXY to the number of proxies in front
+// of the app, or to an Express "trust proxy" value such as "loopback".
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 const server = http.createServer(app);
 
 // Set up Socket.io
@@ -60,6 +86,7 @@ app.use(
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["X-Total-Count", "X-Has-More", "X-Next-Cursor"],
   })
 );
 
@@ -69,11 +96,23 @@ app.options("*", cors());
 app.use(helmet());
 app.use(morgan("dev"));
 
-// Rate limiting
+// Rate limiting (API key requests are limited per key in the auth middleware,
+// so only requests carrying a key that checks out skip this limiter)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100,
   message: "Too many requests, please try again later.",
+  skip: async (req) => {
+    const key = getApiKeyFromRequest(req);
+
+    if (!key) return false;
+
+    try {
+      return Boolean(await verifyApiKey(key));
+    } catch (err) {
+      return false;
+    }
+  },
 });
 app.use("/api/", limiter);
 
@@ -95,12 +134,28 @@ app.use(
 // Set up socket handler
 socketHandler(io, redisClient);
 
+// Make io and Redis available to route handlers
+app.set("io", io);
+app.set("redisClient", redisClient);
+
 // API routes
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/deals", dealRoutes);
+app.use("/api/deals/:id/offers", offerRoutes);
+app.use("/api/deals/:id/participants", participantRoutes);
+app.use("/api/deals/:id/tasks", taskRoutes);
+app.use("/api/deals/:id/invitations", dealInvitationRoutes);
+app.use("/api/deals/:id/escrow", escrowRoutes);
+app.use("/api/deals/:id/nda", ndaRoutes);
+app.use("/api/deals/:id/agreements", agreementRoutes);
+app.use("/api/invitations", invitationRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/listings", listingRoutes);
+app.use("/api/listings/:id/auction", auctionRoutes);
 
 // Serve static assets in production
 if (process.env.NODE_ENV === "production") {
@@ -134,6 +189,15 @@ mongoose
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    // Remind assignees of overdue deal tasks
+    startTaskReminders(io);
+    startAuctionScheduler(io);
+
+    // Expire stale deals and enforce negotiation deadlines
+    startDealScheduler(io, redisClient).catch((err) => {
+      console.error("Error starting the deal scheduler:", err.message);
+    });
   })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
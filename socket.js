@@ -1,8 +1,12 @@
-const jwt = require("jsonwebtoken")
-const User = require("./models/User")
+const { verifyAccessToken } = require("./utils/tokens")
+const { can } = require("./utils/permissions")
 const Deal = require("./models/Deal")
 const Message = require("./models/Message")
-const Notification = require("./models/Notification")
+const Listing = require("./models/Listing")
+const { makeOffer, respondToOffer } = require("./utils/offers")
+const { notifyDealMembers } = require("./utils/notifications")
+const { recordDealEvent } = require("./utils/dealEvents")
+const { isAmount, formatMoney } = require("./utils/money")
 
 module.exports = (io, redisClient) => {
   // Authentication middleware for Socket.io
@@ -14,14 +18,20 @@ module.exports = (io, redisClient) => {
         return next(new Error("Authentication error: Token not provided"))
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      const user = await User.findById(decoded.id).select("-password")
+      const verified = await verifyAccessToken(token, redisClient)
 
-      if (!user) {
-        return next(new Error("Authentication error: User not found"))
+      if (!verified) {
+        return next(new Error("Authentication error: Token revoked or user not found"))
       }
 
-      socket.user = user
+      if (verified.user.status === "suspended") {
+        return next(new Error("Authentication error: Account suspended"))
+      }
+
+      socket.user = verified.user
+      // Kept in data too, for callers that look sockets up with fetchSockets()
+      socket.data.user = verified.user
+      socket.sessionId = verified.decoded.sid
       next()
     } catch (error) {
       return next(new Error("Authentication error: Invalid token"))
@@ -34,6 +44,11 @@ module.exports = (io, redisClient) => {
     // Join user's personal room for notifications
     socket.join(`user:${socket.user._id}`)
 
+    // Join the session's room so revoking the session disconnects this socket
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`)
+    }
+
     // Handle joining a deal room
     socket.on("join_deal", async ({ dealId }) => {
       try {
@@ -44,12 +59,8 @@ module.exports = (io, redisClient) => {
           return
         }
 
-        // Check if user is part of the deal
-        const isParticipant =
-          deal.buyer.toString() === socket.user._id.toString() ||
-          (deal.seller && deal.seller.toString() === socket.user._id.toString())
-
-        if (!isParticipant && socket.user.role !== "admin") {
+        // Check if user may see the deal (directly or through their organization)
+        if (!(await can(socket.user, "deal.view", { deal }))) {
           socket.emit("error", { message: "Not authorized to join this deal" })
           return
         }
@@ -81,6 +92,25 @@ module.exports = (io, redisClient) => {
       }
     })
 
+    // Watch a listing for auction updates (listings are public)
+    socket.on("watch_listing", async ({ listingId }) => {
+      try {
+        if (!(await Listing.exists({ _id: listingId }))) {
+          socket.emit("error", { message: "Listing not found" })
+          return
+        }
+
+        socket.join(`listing:${listingId}`)
+      } catch (error) {
+        console.error("Error watching listing:", error)
+        socket.emit("error", { message: "Error watching listing" })
+      }
+    })
+
+    socket.on("unwatch_listing", ({ listingId }) => {
+      socket.leave(`listing:${listingId}`)
+    })
+
     // Handle sending a message
     socket.on("send_message", async ({ dealId, message }) => {
       try {
@@ -91,6 +121,16 @@ module.exports = (io, redisClient) => {
           return
         }
 
+        if (!(await can(socket.user, "message.send", { deal }))) {
+          socket.emit("error", { message: "Not authorized to send messages in this deal" })
+          return
+        }
+
+        if (deal.isFrozen() && !(await can(socket.user, "deal.overrideFreeze"))) {
+          socket.emit("error", { message: "This deal is frozen while a participant's account is suspended" })
+          return
+        }
+
         // Create and save the message
         const newMessage = new Message({
           deal: dealId,
@@ -101,29 +141,20 @@ module.exports = (io, redisClient) => {
 
         await newMessage.save()
 
+        await recordDealEvent(deal, socket.user, "message.sent", { subject: newMessage })
+
         // Populate sender info
         await newMessage.populate("sender", "name email role")
 
         // Emit the message to all users in the deal room
         io.to(`deal:${dealId}`).emit("new_message", newMessage)
 
-        // Create notification for the other participant
-        const recipientId = deal.buyer.toString() === socket.user._id.toString() ? deal.seller : deal.buyer
-
-        if (recipientId) {
-          const notification = new Notification({
-            user: recipientId,
-            type: "message",
-            content: `New message from ${socket.user.name} in deal "${deal.title}"`,
-            dealId: deal._id,
-            read: false,
-          })
-
-          await notification.save()
-
-          // Emit notification to the recipient
-          io.to(`user:${recipientId}`).emit("new_notification", notification)
-        }
+        // Notify everyone else on the deal
+        await notifyDealMembers(io, deal, {
+          actor: socket.user,
+          type: "message",
+          content: `New message from ${socket.user.name} in deal "${deal.title}"`,
+        })
 
         // Cache the message in Redis if available
         if (redisClient) {
@@ -153,14 +184,36 @@ module.exports = (io, redisClient) => {
       }
     })
 
+    // Only users who may post in a deal get to show typing indicators there
+    const canType = async (dealId) => {
+      const deal = await Deal.findById(dealId)
+      return deal && (await can(socket.user, "message.send", { deal }))
+    }
+
     // Handle typing indicators
     socket.on("typing_start", async ({ dealId }) => {
-      // Emit to all users in the deal room except the sender
-      socket.to(`deal:${dealId}`).emit("user_typing", { user: socket.user })
+      try {
+        if (!(await canType(dealId))) {
+          return
+        }
+
+        // Emit to all users in the deal room except the sender
+        socket.to(`deal:${dealId}`).emit("user_typing", { user: socket.user })
+      } catch (error) {
+        console.error("Error sending typing indicator:", error)
+      }
     })
 
     socket.on("typing_stop", async ({ dealId }) => {
-      socket.to(`deal:${dealId}`).emit("user_stop_typing")
+      try {
+        if (!(await canType(dealId))) {
+          return
+        }
+
+        socket.to(`deal:${dealId}`).emit("user_stop_typing")
+      } catch (error) {
+        console.error("Error sending typing indicator:", error)
+      }
     })
 
     // Handle marking messages as read
@@ -172,9 +225,26 @@ module.exports = (io, redisClient) => {
           return
         }
 
+        const deal = await Deal.findById(message.deal)
+
+        if (!deal || !(await can(socket.user, "message.markRead", { deal }))) {
+          socket.emit("error", { message: "Not authorized to update messages in this deal" })
+          return
+        }
+
+        const wasRead = message.read
+
         message.read = true
         await message.save()
 
+        if (!wasRead) {
+          await recordDealEvent(deal, socket.user, "message.read", {
+            subject: message,
+            before: { read: false },
+            after: { read: true },
+          })
+        }
+
         // Emit to all users in the deal room
         io.to(`deal:${message.deal}`).emit("message_read", { messageId })
       } catch (error) {
@@ -194,19 +264,61 @@ module.exports = (io, redisClient) => {
           return
         }
 
-        // Update the deal price
-        deal.price = price
-        deal.priceHistory.unshift({
+        if (!(await can(socket.user, "price.update", { deal }))) {
+          socket.emit("error", { message: "Not authorized to update the price of this deal" })
+          return
+        }
+
+        if (deal.isFrozen() && !(await can(socket.user, "deal.overrideFreeze"))) {
+          socket.emit("error", { message: "This deal is frozen while a participant's account is suspended" })
+          return
+        }
+
+        if (deal.priceLocked) {
+          socket.emit("error", { message: "The price of this deal is locked by an accepted offer" })
+          return
+        }
+
+        // Prices are in minor units of the deal's currency
+        if (!isAmount(price)) {
+          socket.emit("error", { message: "Price must be a whole number of minor units (e.g. cents)" })
+          return
+        }
+
+        const previousPrice = deal.price
+        const historyEntry = {
           price,
+          currency: deal.currency,
           user: socket.user._id,
           timestamp: new Date(),
-        })
+        }
 
-        await deal.save()
+        // Update the deal price, unless an offer was accepted in the meantime
+        const updated = await Deal.updateOne(
+          { _id: deal._id, priceLocked: { $ne: true } },
+          {
+            $set: { price, updatedAt: Date.now() },
+            $push: { priceHistory: { $each: [historyEntry], $position: 0 } },
+          },
+        )
+
+        if (updated.modifiedCount === 0) {
+          socket.emit("error", { message: "The price of this deal is locked by an accepted offer" })
+          return
+        }
+
+        deal.price = price
+        deal.priceHistory.unshift(historyEntry)
+
+        await recordDealEvent(deal, socket.user, "price.updated", {
+          before: { price: previousPrice },
+          after: { price },
+        })
 
         // Create price update object with user info
         const priceUpdate = {
           price,
+          currency: deal.currency,
           user: {
             _id: socket.user._id,
             name: socket.user.name,
@@ -218,23 +330,12 @@ module.exports = (io, redisClient) => {
         // Emit to all users in the deal room
         io.to(`deal:${dealId}`).emit("price_updated", { deal, priceUpdate })
 
-        // Create notification for the other participant
-        const recipientId = deal.buyer._id.toString() === socket.user._id.toString() ? deal.seller?._id : deal.buyer._id
-
-        if (recipientId) {
-          const notification = new Notification({
-            user: recipientId,
-            type: "price",
-            content: `${socket.user.name} updated the price to $${price} in deal "${deal.title}"`,
-            dealId: deal._id,
-            read: false,
-          })
-
-          await notification.save()
-
-          // Emit notification to the recipient
-          io.to(`user:${recipientId}`).emit("new_notification", notification)
-        }
+        // Notify everyone else on the deal
+        await notifyDealMembers(io, deal, {
+          actor: socket.user,
+          type: "price",
+          content: `${socket.user.name} updated the price to ${formatMoney(price, deal.currency)} in deal "${deal.title}"`,
+        })
 
         // Update deal in Redis cache if available
         if (redisClient) {
@@ -242,6 +343,7 @@ module.exports = (io, redisClient) => {
             _id: deal._id.toString(),
             title: deal.title,
             price: deal.price,
+            currency: deal.currency,
             status: deal.status,
             buyer: {
               _id: deal.buyer._id.toString(),
@@ -266,6 +368,48 @@ module.exports = (io, redisClient) => {
       }
     })
 
+    // Handle offers (pass counters: <offerId> to counter an open offer)
+    socket.on("make_offer", async ({ dealId, amount, terms, expiresAt, counters }) => {
+      try {
+        const deal = await Deal.findById(dealId)
+
+        if (!deal) {
+          socket.emit("error", { message: "Deal not found" })
+          return
+        }
+
+        const result = await makeOffer(deal, socket.user, { amount, terms, expiresAt, counters }, { io })
+
+        if (!result.offer) {
+          socket.emit("error", { message: result.message })
+        }
+      } catch (error) {
+        console.error("Error making offer:", error)
+        socket.emit("error", { message: "Error making offer" })
+      }
+    })
+
+    // Handle accepting, rejecting or withdrawing an offer
+    socket.on("respond_offer", async ({ dealId, offerId, action }) => {
+      try {
+        const deal = await Deal.findById(dealId)
+
+        if (!deal) {
+          socket.emit("error", { message: "Deal not found" })
+          return
+        }
+
+        const result = await respondToOffer(deal, socket.user, offerId, action, { io })
+
+        if (!result.offer) {
+          socket.emit("error", { message: result.message })
+        }
+      } catch (error) {
+        console.error("Error responding to offer:", error)
+        socket.emit("error", { message: "Error responding to offer" })
+      }
+    })
+
     // Handle disconnection
     socket.on("disconnect", () => {
       console.log(`User disconnected: ${socket.user.name} (${socket.user._id})`)
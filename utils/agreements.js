@@ -0,0 +1,330 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const { PDFDocument, StandardFonts } = require("pdf-lib")
+const User = require("../models/User")
+const Notification = require("../models/Notification")
+const { can } = require("./permissions")
+const { idOf, canAccessDocument, dealMemberIds } = require("./dealAccess")
+const { isTerminal } = require("./dealStateMachine")
+const { checkNdaAccepted } = require("./nda")
+const { notifyDealMembers } = require("./notifications")
+const { recordDealEvent } = require("./dealEvents")
+
+// Electronic signatures on a deal's final agreements. A PDF document is marked
+// as an agreement with a list of signers, who sign one after another by typing
+// their name. Each signature records when, from where and the SHA-256 of the
+// file signed; once everyone has signed, a copy of the PDF with a signature
+// certificate page is stored next to the original. A deal can only close once
+// an agreement has been signed by everyone and none is waiting for signatures;
+// a request can't be withdrawn once someone has signed. Each action returns
+// { document } on success or { status, message } describing why it was
+// refused.
+
+const UPLOAD_DIR = path.join(__dirname, "../uploads")
+
+const hashFile = async (fileName) =>
+  crypto
+    .createHash("sha256")
+    .update(await fs.promises.readFile(path.join(UPLOAD_DIR, fileName)))
+    .digest("hex")
+
+const nextSigner = (agreement) => agreement.signers.find((signer) => !signer.signedAt)
+
+const notifyUser = async (io, userId, deal, content) => {
+  const notification = new Notification({
+    user: userId,
+    type: "signature",
+    content,
+    dealId: deal._id,
+    read: false,
+  })
+
+  await notification.save()
+
+  if (io) {
+    io.to(`user:${userId}`).emit("new_notification", notification)
+  }
+}
+
+const broadcast = (io, deal, document) => {
+  if (io) {
+    io.to(`deal:${deal._id}`).emit("agreement_updated", {
+      dealId: deal._id,
+      documentId: document._id,
+      agreement: document.agreement,
+    })
+  }
+}
+
+// Refusals shared by every change to a deal's agreements
+const checkChangeable = async (deal, user) => {
+  if (isTerminal(deal.status)) {
+    return { status: 400, message: "Cannot change the agreements of a closed or cancelled deal" }
+  }
+
+  if (deal.isFrozen() && !(await can(user, "deal.overrideFreeze"))) {
+    return { status: 423, message: "This deal is frozen while a participant's account is suspended" }
+  }
+
+  return null
+}
+
+// Mark a document as an agreement to be signed by signerIds, in that order
+const requestSignatures = async (deal, user, document, signerIds, { io } = {}) => {
+  if (!(await can(user, "agreement.manage", { deal }))) {
+    return { status: 403, message: "Not authorized to manage agreements for this deal" }
+  }
+
+  const refusal = await checkChangeable(deal, user)
+
+  if (refusal) {
+    return refusal
+  }
+
+  if (document.fileType !== "application/pdf") {
+    return { status: 400, message: "Only PDF documents can be signed" }
+  }
+
+  if (document.agreement) {
+    return { status: 409, message: "Signatures have already been requested for this document" }
+  }
+
+  if (!Array.isArray(signerIds) || signerIds.length === 0) {
+    return { status: 400, message: "Please list who has to sign, in signing order" }
+  }
+
+  const members = dealMemberIds(deal)
+  const signers = signerIds.map(String)
+
+  if (new Set(signers).size !== signers.length) {
+    return { status: 400, message: "Each signer can only be listed once" }
+  }
+
+  if (!signers.every((signer) => members.includes(signer))) {
+    return { status: 400, message: "Signers must be the buyer, the seller or participants of this deal" }
+  }
+
+  if (!signers.every((signer) => canAccessDocument(deal, { _id: signer }, document))) {
+    return { status: 400, message: "Every signer must have access to the document" }
+  }
+
+  if (!fs.existsSync(path.join(UPLOAD_DIR, document.fileName))) {
+    return { status: 404, message: "File not found" }
+  }
+
+  document.agreement = {
+    signers: signers.map((signer) => ({ user: signer })),
+    hash: await hashFile(document.fileName),
+    requestedBy: user._id,
+  }
+
+  await document.save()
+
+  await recordDealEvent(deal, user, "agreement.requested", {
+    subject: document,
+    after: { signers, hash: document.agreement.hash },
+  })
+
+  broadcast(io, deal, document)
+
+  await notifyUser(
+    io,
+    signers[0],
+    deal,
+    `${user.name} asked you to sign "${document.originalName}" in deal "${deal.title}"`,
+  )
+
+  return { document }
+}
+
+// Withdraw a signature request nobody has signed yet
+const cancelSignatures = async (deal, user, document, { io } = {}) => {
+  if (!(await can(user, "agreement.manage", { deal }))) {
+    return { status: 403, message: "Not authorized to manage agreements for this deal" }
+  }
+
+  const refusal = await checkChangeable(deal, user)
+
+  if (refusal) {
+    return refusal
+  }
+
+  if (!document.agreement) {
+    return { status: 404, message: "No signatures have been requested for this document" }
+  }
+
+  if (document.agreement.status === "signed") {
+    return { status: 409, message: "This agreement has already been signed by everyone" }
+  }
+
+  if (document.agreement.signers.some((signer) => signer.signedAt)) {
+    return { status: 409, message: "Signatures can't be withdrawn once someone has signed" }
+  }
+
+  const before = { signers: document.agreement.signers.map((signer) => signer.user) }
+
+  document.agreement = undefined
+  await document.save()
+
+  await recordDealEvent(deal, user, "agreement.cancelled", { subject: document, before })
+
+  broadcast(io, deal, document)
+
+  return { document }
+}
+
+// Characters the standard PDF fonts can't draw are replaced
+const printable = (font, text) => {
+  const charset = new Set(font.getCharacterSet())
+
+  return [...String(text)].map((char) => (charset.has(char.codePointAt(0)) ? char : "?")).join("")
+}
+
+// Copy the agreement with a signature certificate page added at the end.
+// Returns the new file's name and SHA-256.
+const addCertificate = async (deal, document) => {
+  const pdf = await PDFDocument.load(await fs.promises.readFile(path.join(UPLOAD_DIR, document.fileName)))
+  const font = await pdf.embedFont(StandardFonts.Helvetica)
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold)
+  const users = await User.find({ _id: { $in: document.agreement.signers.map((signer) => signer.user) } }).select(
+    "name email",
+  )
+
+  const margin = 50
+  let page
+  let y
+
+  const newPage = () => {
+    page = pdf.addPage()
+    y = page.getHeight() - margin
+  }
+
+  const line = (text, { size = 10, font: lineFont = font, gap = 4 } = {}) => {
+    if (y < margin + size) {
+      newPage()
+    }
+
+    page.drawText(printable(lineFont, text), { x: margin, y, size, font: lineFont })
+    y -= size + gap
+  }
+
+  newPage()
+
+  line("Signature certificate", { size: 18, font: bold, gap: 12 })
+  line(`Document: ${document.originalName}`)
+  line(`Deal: ${deal.title}`)
+  line(`Original SHA-256: ${document.agreement.hash}`, { size: 8 })
+  line(`Signatures requested: ${document.agreement.requestedAt.toISOString()}`, { gap: 16 })
+
+  document.agreement.signers.forEach((signer, index) => {
+    const account = users.find((candidate) => idOf(candidate) === idOf(signer.user))
+
+    line(`${index + 1}. ${signer.typedName}`, { size: 12, font: bold })
+    line(`Account: ${account ? `${account.name} <${account.email}>` : idOf(signer.user)}`)
+    line(`Signed: ${signer.signedAt.toISOString()}`)
+    line(`IP address: ${signer.ip || "unknown"}`)
+    line(`SHA-256 signed: ${signer.hash}`, { size: 8, gap: 14 })
+  })
+
+  const bytes = await pdf.save()
+  const fileName = `${path.parse(document.fileName).name}-signed.pdf`
+
+  await fs.promises.writeFile(path.join(UPLOAD_DIR, fileName), bytes)
+
+  return { fileName, hash: crypto.createHash("sha256").update(bytes).digest("hex") }
+}
+
+// Sign an agreement as the next signer in line
+const signAgreement = async (deal, user, document, { typedName, ip, userAgent }, { io } = {}) => {
+  const { agreement } = document
+
+  if (!agreement) {
+    return { status: 404, message: "No signatures have been requested for this document" }
+  }
+
+  const refusal = await checkChangeable(deal, user)
+
+  if (refusal) {
+    return refusal
+  }
+
+  const signer = agreement.signers.find((entry) => idOf(entry.user) === idOf(user))
+
+  if (!signer) {
+    return { status: 403, message: "You are not a signer of this agreement" }
+  }
+
+  if (signer.signedAt) {
+    return { status: 409, message: "You have already signed this agreement" }
+  }
+
+  if (nextSigner(agreement) !== signer) {
+    return { status: 409, message: "It is not your turn to sign this agreement yet" }
+  }
+
+  const ndaRefusal = await checkNdaAccepted(deal, user)
+
+  if (ndaRefusal) {
+    return ndaRefusal
+  }
+
+  if (typeof typedName !== "string" || !typedName.trim()) {
+    return { status: 400, message: "Please type your full name to sign" }
+  }
+
+  if (!fs.existsSync(path.join(UPLOAD_DIR, document.fileName))) {
+    return { status: 404, message: "File not found" }
+  }
+
+  const hash = await hashFile(document.fileName)
+
+  if (hash !== agreement.hash) {
+    return { status: 409, message: "The document has changed since signatures were requested" }
+  }
+
+  Object.assign(signer, { typedName: typedName.trim(), signedAt: new Date(), ip, userAgent, hash })
+
+  const next = nextSigner(agreement)
+
+  if (!next) {
+    const signed = await addCertificate(deal, document)
+
+    agreement.status = "signed"
+    agreement.signedFileName = signed.fileName
+    agreement.signedHash = signed.hash
+    agreement.completedAt = Date.now()
+  }
+
+  await document.save()
+
+  await recordDealEvent(deal, user, "agreement.signed", {
+    subject: document,
+    after: { typedName: signer.typedName, signedAt: signer.signedAt, ip, hash },
+  })
+
+  broadcast(io, deal, document)
+
+  if (next) {
+    await notifyUser(
+      io,
+      next.user,
+      deal,
+      `${user.name} signed "${document.originalName}" in deal "${deal.title}"; it is your turn to sign`,
+    )
+  } else {
+    await recordDealEvent(deal, null, "agreement.completed", {
+      subject: document,
+      after: { signedHash: agreement.signedHash },
+    })
+
+    await notifyDealMembers(io, deal, {
+      type: "signature",
+      content: `Everyone has signed "${document.originalName}" in deal "${deal.title}"`,
+    })
+  }
+
+  return { document }
+}
+
+module.exports = { requestSignatures, cancelSignatures, signAgreement }
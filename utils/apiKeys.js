@@ -0,0 +1,124 @@
+const crypto = require("crypto")
+const ApiKey = require("../models/ApiKey")
+const User = require("../models/User")
+
+const KEY_PREFIX = "vdr"
+const RATE_LIMIT_WINDOW = 15 * 60 // seconds
+// Requests per window: keys get the default unless an admin raises it
+const DEFAULT_RATE_LIMIT = ApiKey.schema.path("rateLimit").defaultValue
+const MAX_RATE_LIMIT = 100000
+
+const SCOPES = [
+  "deals:read",
+  "deals:write",
+  "messages:read",
+  "documents:read",
+  "documents:write",
+  "listings:write",
+]
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex")
+
+// Keys look like vdr_<prefix>_<secret>
+const isApiKey = (token) => typeof token === "string" && token.startsWith(`${KEY_PREFIX}_`)
+
+// Read an API key from the X-API-Key header or a Bearer token
+const getApiKeyFromRequest = (req) => {
+  const header = req.headers["x-api-key"]
+
+  if (isApiKey(header)) {
+    return header
+  }
+
+  const { authorization } = req.headers
+
+  if (authorization && authorization.startsWith("Bearer")) {
+    const token = authorization.split(" ")[1]
+    return isApiKey(token) ? token : null
+  }
+
+  return null
+}
+
+// Create a new key. Returns the stored document and the plain key, which is
+// never stored and can't be shown again.
+const createApiKey = async ({ name, user, organization, scopes, rateLimit, expiresAt }) => {
+  const prefix = crypto.randomBytes(6).toString("hex")
+  const secret = crypto.randomBytes(24).toString("hex")
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`
+
+  const apiKey = new ApiKey({
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    user,
+    organization,
+    scopes,
+    rateLimit,
+    expiresAt,
+  })
+
+  await apiKey.save()
+
+  return { apiKey, key }
+}
+
+// Look up an active key and the user it acts as. Returns { apiKey, user } or null.
+const verifyApiKey = async (key) => {
+  const [, prefix] = key.split("_")
+  const apiKey = await ApiKey.findOne({ prefix }).select("+keyHash")
+
+  if (!apiKey || !apiKey.isActive()) {
+    return null
+  }
+
+  const expected = Buffer.from(apiKey.keyHash, "hex")
+  const actual = Buffer.from(hashKey(key), "hex")
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null
+  }
+
+  const user = await User.findById(apiKey.user).select("-password")
+
+  if (!user) {
+    return null
+  }
+
+  // Organization keys stop working once their creator leaves the organization
+  if (apiKey.organization && (!user.organization || !user.organization.equals(apiKey.organization))) {
+    return null
+  }
+
+  return { apiKey, user }
+}
+
+// Fixed-window request counter per key, kept in Redis
+const consumeRateLimit = async (redisClient, apiKey) => {
+  if (!redisClient) {
+    return { allowed: true }
+  }
+
+  const windowStart = Math.floor(Date.now() / 1000 / RATE_LIMIT_WINDOW) * RATE_LIMIT_WINDOW
+  const counterKey = `ratelimit:apikey:${apiKey._id}:${windowStart}`
+
+  const [[, count]] = await redisClient.multi().incr(counterKey).expire(counterKey, RATE_LIMIT_WINDOW).exec()
+
+  return {
+    allowed: count <= apiKey.rateLimit,
+    limit: apiKey.rateLimit,
+    remaining: Math.max(apiKey.rateLimit - count, 0),
+    reset: windowStart + RATE_LIMIT_WINDOW,
+  }
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  isApiKey,
+  getApiKeyFromRequest,
+  createApiKey,
+  verifyApiKey,
+  consumeRateLimit,
+}
@@ -0,0 +1,481 @@
+const Auction = require("../models/Auction")
+const Bid = require("../models/Bid")
+const Deal = require("../models/Deal")
+const DealEvent = require("../models/DealEvent")
+const Listing = require("../models/Listing")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { can } = require("./permissions")
+const { recordDealEvent } = require("./dealEvents")
+const { isAmount, formatMoney } = require("./money")
+const { normalizeDealType, fieldsFor, parseCustomFields, parseTags } = require("./customFields")
+
+// Auctions on listings. Shared by the REST routes and the scheduler; each
+// action returns { auction } or { bid } on success or { status, message }
+// describing why it was refused. Updates are pushed to the listing's socket
+// room (listing:<id>), which anyone watching the listing joins.
+
+const listingRoom = (auction) => `listing:${auction.listing}`
+
+// Each bidder's best bid, best first (ties go to the earlier bid). Pass upTo
+// (the auction's bidCount) to leave out bids that are still being placed.
+const getStandings = (auctionId, { upTo } = {}) =>
+  Bid.aggregate([
+    { $match: { auction: auctionId, ...(upTo !== undefined && { seq: { $not: { $gt: upTo } } }) } },
+    { $sort: { amount: -1, createdAt: 1 } },
+    { $group: { _id: "$bidder", bid: { $first: "$$ROOT" } } },
+    { $replaceRoot: { newRoot: "$bid" } },
+    { $sort: { amount: -1, createdAt: 1 } },
+  ])
+
+const isSeller = async (auction, user) =>
+  auction.seller.toString() === user._id.toString() || (await can(user, "listing.manageAny"))
+
+// What a user (or, without one, anyone watching) may see of an auction: the
+// reserve price is only shown to the seller, and sealed bids stay hidden until
+// the auction closes
+const viewAuction = async (auction, user) => {
+  const standings = await getStandings(auction._id)
+  const seller = user ? await isSeller(auction, user) : false
+  const visible = auction.mode === "open" || auction.status !== "open"
+  const best = standings[0]
+  const mine = user && standings.find((bid) => bid.bidder.toString() === user._id.toString())
+  const view = { ...auction.toObject(), bidderCount: standings.length }
+
+  if (!seller) {
+    delete view.reservePrice
+  }
+
+  if (visible) {
+    view.highestBid = best ? best.amount : null
+    view.reserveMet = Boolean(best) && best.amount >= (auction.reservePrice || 0)
+  }
+
+  view.myBid = mine ? mine.amount : null
+
+  return view
+}
+
+const notify = async (io, userId, content, dealId) => {
+  const notification = new Notification({
+    user: userId,
+    type: "auction",
+    content,
+    dealId,
+    read: false,
+  })
+
+  await notification.save()
+
+  if (io) {
+    io.to(`user:${userId}`).emit("new_notification", notification)
+  }
+}
+
+// Start an auction on a listing. rounds is a list of { endsAt, shortlist };
+// pass endsAt instead for a single round. dealType, customFields and tags are
+// checked now and given to the deal the winning bid creates.
+const createAuction = async (
+  listing,
+  user,
+  { mode, reservePrice, startingPrice, minIncrement, rounds, endsAt, dealType, customFields, tags },
+  { io } = {},
+) => {
+  if (listing.seller.toString() !== user._id.toString() && !(await can(user, "listing.manageAny"))) {
+    return { status: 403, message: "Not authorized to auction this listing" }
+  }
+
+  if (listing.status !== "active") {
+    return { status: 400, message: "Only active listings can be auctioned" }
+  }
+
+  if (await Auction.exists({ listing: listing._id, status: "open" })) {
+    return { status: 409, message: "This listing already has an auction running" }
+  }
+
+  if (mode && !Auction.schema.path("mode").enumValues.includes(mode)) {
+    return { status: 400, message: "Mode must be sealed or open" }
+  }
+
+  // Prices are minor units of the listing's currency
+  if ([reservePrice, startingPrice, minIncrement].some((price) => price !== undefined && !isAmount(price))) {
+    return { status: 400, message: "Prices must be whole numbers of minor units (e.g. cents)" }
+  }
+
+  const schedule = rounds || (endsAt ? [{ endsAt }] : [])
+
+  if (!Array.isArray(schedule) || schedule.length === 0) {
+    return { status: 400, message: "Please provide when the auction ends" }
+  }
+
+  let previous = Date.now()
+
+  for (const round of schedule) {
+    const roundEnd = new Date(round.endsAt)
+
+    if (!(roundEnd > previous)) {
+      return { status: 400, message: "Each round must end in the future and after the round before it" }
+    }
+
+    previous = roundEnd
+  }
+
+  const parsedFields = await parseCustomFields(customFields, normalizeDealType(dealType))
+
+  if (parsedFields.message) {
+    return { status: 400, message: parsedFields.message }
+  }
+
+  const parsedTags = tags === undefined ? { tags: [] } : parseTags(tags)
+
+  if (parsedTags.message) {
+    return { status: 400, message: parsedTags.message }
+  }
+
+  const auction = new Auction({
+    listing: listing._id,
+    seller: listing.seller,
+    mode,
+    currency: listing.currency,
+    reservePrice,
+    startingPrice,
+    minIncrement,
+    dealType: normalizeDealType(dealType),
+    customFields: parsedFields.customFields,
+    tags: parsedTags.tags,
+    rounds: schedule.map(({ endsAt: roundEnd, shortlist }) => ({ endsAt: roundEnd, shortlist })),
+  })
+
+  await auction.save()
+
+  if (io) {
+    io.to(listingRoom(auction)).emit("auction_started", await viewAuction(auction, null))
+  }
+
+  return { auction }
+}
+
+const placeBid = async (auction, user, amount, { io } = {}) => {
+  const round = auction.round()
+
+  if (auction.status !== "open" || round.endsAt <= Date.now()) {
+    return { status: 409, message: "This auction is not taking bids" }
+  }
+
+  if (auction.seller.toString() === user._id.toString()) {
+    return { status: 403, message: "You cannot bid on your own listing" }
+  }
+
+  if (!(await can(user, "deal.createFromListing"))) {
+    return { status: 403, message: "Not authorized to bid on listings" }
+  }
+
+  if (round.bidders.length > 0 && !round.bidders.some((bidder) => bidder.toString() === user._id.toString())) {
+    return { status: 403, message: "Only shortlisted bidders can bid in this round" }
+  }
+
+  if (!isAmount(amount) || amount === 0) {
+    return { status: 400, message: "Amount must be a positive whole number of minor units (e.g. cents)" }
+  }
+
+  const money = (value) => formatMoney(value, auction.currency)
+
+  if (amount < auction.startingPrice) {
+    return { status: 400, message: `Bids start at ${money(auction.startingPrice)}` }
+  }
+
+  const standings = await getStandings(auction._id, { upTo: auction.bidCount })
+  const best = standings[0]
+  const mine = standings.find((bid) => bid.bidder.toString() === user._id.toString())
+
+  if (mine && amount <= mine.amount) {
+    return { status: 400, message: `Your new bid must beat your current bid of ${money(mine.amount)}` }
+  }
+
+  if (auction.mode === "open" && best && (amount <= best.amount || amount < best.amount + auction.minIncrement)) {
+    return {
+      status: 400,
+      message: `Bids must beat the highest bid of ${money(best.amount)}${
+        auction.minIncrement ? ` by at least ${money(auction.minIncrement)}` : ""
+      }`,
+    }
+  }
+
+  // The bid takes the next position, which fails if someone else bid since
+  // the standings were read. It then counts itself on the auction, which
+  // fails if the auction was closed or moved to another round meanwhile.
+  const bid = new Bid({
+    auction: auction._id,
+    bidder: user._id,
+    amount,
+    round: auction.currentRound,
+    seq: auction.bidCount + 1,
+  })
+
+  try {
+    await bid.save()
+  } catch (err) {
+    if (err.code === 11000) {
+      return { status: 409, message: "Someone else bid at the same time; please check the standings and try again" }
+    }
+
+    throw err
+  }
+
+  const counted = await Auction.updateOne(
+    { _id: auction._id, status: "open", currentRound: auction.currentRound, bidCount: auction.bidCount },
+    { $inc: { bidCount: 1 } },
+  )
+
+  if (counted.modifiedCount === 0) {
+    await Bid.deleteOne({ _id: bid._id })
+    return { status: 409, message: "This auction is not taking bids" }
+  }
+
+  if (io) {
+    // Sealed auctions only tell watchers that someone bid
+    io.to(listingRoom(auction)).emit("bid_placed", {
+      auctionId: auction._id,
+      round: auction.currentRound,
+      bidderCount: standings.length + (mine ? 0 : 1),
+      ...(auction.mode === "open" && { highestBid: amount }),
+    })
+  }
+
+  // Let the bidder who was on top know they have been outbid
+  if (auction.mode === "open" && best && best.bidder.toString() !== user._id.toString()) {
+    const listing = await Listing.findById(auction.listing).select("title")
+    await notify(io, best.bidder, `You have been outbid on "${listing.title}"`)
+  }
+
+  return { bid }
+}
+
+// Turn the winning bid into a deal between the bidder and the seller. The
+// auction fixed the price, so the deal starts in negotiation with it locked.
+// Custom field values were checked when the auction started; values of fields
+// removed since are dropped, as closing can't be refused.
+const createDealFromBid = async (auction, listing, bid) => {
+  const buyer = await User.findById(bid.bidder)
+  const seller = await User.findById(listing.seller)
+  const fields = await fieldsFor(auction.dealType)
+  const customFields = {}
+
+  for (const field of fields) {
+    if (auction.customFields.has(field.key)) {
+      customFields[field.key] = auction.customFields.get(field.key)
+    }
+  }
+
+  const deal = new Deal({
+    title: listing.title,
+    description: listing.description,
+    price: bid.amount,
+    currency: auction.currency,
+    dealType: auction.dealType,
+    customFields,
+    tags: auction.tags,
+    buyer: bid.bidder,
+    seller: listing.seller,
+    buyerOrganization: buyer && buyer.organization,
+    sellerOrganization: seller && seller.organization,
+    listing: listing._id,
+    initiatedBy: "buyer",
+    status: "negotiating",
+    priceLocked: true,
+    priceHistory: [{ price: bid.amount, currency: auction.currency, user: bid.bidder }],
+    transitions: [{ from: "open", to: "negotiating", user: listing.seller, reason: "Won the listing's auction" }],
+  })
+
+  await deal.save()
+
+  await recordDealEvent(deal, null, "deal.created", {
+    subject: auction,
+    after: {
+      title: deal.title,
+      price: deal.price,
+      currency: deal.currency,
+      dealType: deal.dealType,
+      customFields: Object.fromEntries(deal.customFields),
+      tags: deal.tags,
+      status: deal.status,
+      buyer: deal.buyer,
+      seller: deal.seller,
+      listing: deal.listing,
+    },
+  })
+
+  return deal
+}
+
+// Close an auction: the best standing bid at or above the reserve wins and
+// becomes a deal, and everyone else is told they lost. The deal is created
+// first and the auction only closes if no bid came in meanwhile; otherwise
+// the deal is removed again. Safe to call from several processes at once;
+// only one of them closes it.
+const closeAuction = async (auction, { io } = {}) => {
+  const current = await Auction.findOne({ _id: auction._id, status: "open" })
+
+  if (!current) {
+    return { status: 409, message: "This auction is not open" }
+  }
+
+  const listing = await Listing.findById(current.listing)
+  const standings = await getStandings(current._id, { upTo: current.bidCount })
+  const winner = standings.find((bid) => bid.amount >= (current.reservePrice || 0))
+  const deal = winner ? await createDealFromBid(current, listing, winner) : null
+  let result = standings.length > 0 ? "reserve-not-met" : "no-bids"
+
+  const closed = await Auction.findOneAndUpdate(
+    { _id: current._id, status: "open", bidCount: current.bidCount },
+    { $set: { status: "closed", closedAt: new Date(), winningBid: winner && winner._id, deal: deal && deal._id } },
+    { new: true },
+  )
+
+  if (!closed) {
+    if (deal) {
+      await DealEvent.deleteMany({ deal: deal._id })
+      await Deal.deleteOne({ _id: deal._id })
+    }
+
+    return { status: 409, message: "The auction changed while it was being closed; please try again" }
+  }
+
+  if (winner) {
+    listing.status = "pending"
+    await listing.save()
+
+    result = "sold"
+
+    const amount = formatMoney(winner.amount, closed.currency)
+
+    await notify(io, winner.bidder, `You won the auction for "${listing.title}" with ${amount}`, deal._id)
+    await notify(io, closed.seller, `Your auction for "${listing.title}" sold for ${amount}`, deal._id)
+  } else {
+    await notify(io, closed.seller, `Your auction for "${listing.title}" ended without a winning bid`)
+  }
+
+  for (const bid of standings) {
+    if (!winner || bid.bidder.toString() !== winner.bidder.toString()) {
+      await notify(io, bid.bidder, `The auction for "${listing.title}" has ended and your bid did not win`)
+    }
+  }
+
+  if (io) {
+    io.to(listingRoom(closed)).emit("auction_closed", {
+      auctionId: closed._id,
+      result,
+      winningAmount: winner ? winner.amount : null,
+      currency: closed.currency,
+    })
+  }
+
+  return { auction: closed }
+}
+
+// Call off an auction without a winner
+const cancelAuction = async (auction, { io } = {}) => {
+  const cancelled = await Auction.findOneAndUpdate(
+    { _id: auction._id, status: "open" },
+    { $set: { status: "cancelled", closedAt: new Date() } },
+    { new: true },
+  )
+
+  if (!cancelled) {
+    return { status: 409, message: "This auction is not open" }
+  }
+
+  const listing = await Listing.findById(cancelled.listing).select("title")
+
+  for (const bid of await getStandings(cancelled._id)) {
+    await notify(io, bid.bidder, `The auction for "${listing.title}" was cancelled by the seller`)
+  }
+
+  if (io) {
+    io.to(listingRoom(cancelled)).emit("auction_closed", { auctionId: cancelled._id, result: "cancelled" })
+  }
+
+  return { auction: cancelled }
+}
+
+// Move an auction whose round has ended on to its next round, shortlisting
+// the best bidders if the round asks for it
+const advanceRound = async (auction, { io } = {}) => {
+  const next = auction.currentRound + 1
+  const { shortlist } = auction.rounds[next]
+  const standings = await getStandings(auction._id, { upTo: auction.bidCount })
+  const bidders = shortlist ? standings.slice(0, shortlist).map((bid) => bid.bidder) : []
+
+  const advanced = await Auction.findOneAndUpdate(
+    { _id: auction._id, status: "open", currentRound: auction.currentRound, bidCount: auction.bidCount },
+    { $set: { currentRound: next, [`rounds.${next}.bidders`]: bidders } },
+    { new: true },
+  )
+
+  if (!advanced) {
+    return
+  }
+
+  const listing = await Listing.findById(advanced.listing).select("title")
+
+  for (const bid of standings) {
+    const shortlisted = !shortlist || bidders.some((bidder) => bidder.toString() === bid.bidder.toString())
+
+    await notify(
+      io,
+      bid.bidder,
+      shortlisted
+        ? `Round ${next + 1} of the auction for "${listing.title}" has started`
+        : `You were not shortlisted for round ${next + 1} of the auction for "${listing.title}"`,
+    )
+  }
+
+  if (io) {
+    io.to(listingRoom(advanced)).emit("auction_round_started", {
+      auctionId: advanced._id,
+      round: next,
+      endsAt: advanced.round().endsAt,
+    })
+  }
+}
+
+// Advance or close every auction whose current round has ended
+const processAuctions = async (io) => {
+  const due = await Auction.find({
+    status: "open",
+    $expr: { $lte: [{ $arrayElemAt: ["$rounds.endsAt", "$currentRound"] }, new Date()] },
+  })
+
+  for (const auction of due) {
+    if (auction.currentRound + 1 < auction.rounds.length) {
+      await advanceRound(auction, { io })
+    } else {
+      await closeAuction(auction, { io })
+    }
+  }
+}
+
+// Check for ended rounds every AUCTION_CHECK_INTERVAL_SECONDS (default 60)
+const startAuctionScheduler = (io) => {
+  const seconds = Number(process.env.AUCTION_CHECK_INTERVAL_SECONDS) || 60
+
+  const run = () =>
+    processAuctions(io).catch((err) => {
+      console.error("Error processing auctions:", err.message)
+    })
+
+  run()
+  return setInterval(run, seconds * 1000)
+}
+
+module.exports = {
+  getStandings,
+  isSeller,
+  viewAuction,
+  createAuction,
+  placeBid,
+  closeAuction,
+  cancelAuction,
+  processAuctions,
+  startAuctionScheduler,
+}
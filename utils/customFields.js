@@ -0,0 +1,186 @@
+const CustomField = require("../models/CustomField")
+
+// Admin-defined custom fields and free-form tags on deals. A custom field has
+// a type (text, number, date or enum) and applies to the deal types it lists,
+// or to every deal when it lists none. Deals keep their values in
+// customFields by field key.
+
+const FIELD_TYPES = CustomField.schema.path("type").enumValues
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/
+const MAX_TAGS = 20
+const MAX_TAG_LENGTH = 50
+
+// Deal types are matched without regard to case or surrounding spaces
+const normalizeDealType = (dealType) => (dealType ? String(dealType).trim().toLowerCase() : undefined)
+
+// Fields that apply to deals of a type
+const fieldsFor = (dealType) =>
+  CustomField.find({
+    $or: [{ dealTypes: { $size: 0 } }, ...(dealType ? [{ dealTypes: normalizeDealType(dealType) }] : [])],
+  }).sort({ key: 1 })
+
+// Convert a value (from a request body or query string) to the field's type.
+// Returns { value } or { message }.
+const castValue = (field, value) => {
+  if (field.type === "number") {
+    const number = typeof value === "string" && value.trim() ? Number(value) : value
+
+    return typeof number === "number" && Number.isFinite(number)
+      ? { value: number }
+      : { message: `${field.label} must be a number` }
+  }
+
+  if (field.type === "date") {
+    const date = ["string", "number"].includes(typeof value) ? new Date(value) : null
+
+    return date && !Number.isNaN(date.getTime()) ? { value: date } : { message: `${field.label} must be a date` }
+  }
+
+  if (field.type === "enum") {
+    return field.options.includes(value)
+      ? { value }
+      : { message: `${field.label} must be one of: ${field.options.join(", ")}` }
+  }
+
+  return typeof value === "string" ? { value: value.trim() } : { message: `${field.label} must be text` }
+}
+
+// Check custom field values from a request body against the fields of the
+// deal type, on top of the deal's current values (null or "" removes a
+// value). Current values of fields that don't apply to the deal type are
+// dropped. Returns { customFields } or { message }.
+const parseCustomFields = async (values, dealType, current = {}) => {
+  if (values === undefined || values === null) {
+    values = {}
+  }
+
+  if (typeof values !== "object" || Array.isArray(values)) {
+    return { message: "Custom fields must be an object of values by field key" }
+  }
+
+  const fields = await fieldsFor(dealType)
+  const byKey = new Map(fields.map((field) => [field.key, field]))
+  const customFields = {}
+
+  for (const [key, value] of Object.entries(current)) {
+    if (byKey.has(key)) {
+      customFields[key] = value
+    }
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    const field = byKey.get(key)
+
+    if (!field) {
+      return { message: `Unknown custom field "${key}"${dealType ? ` for deal type "${dealType}"` : ""}` }
+    }
+
+    if (value === null || value === "") {
+      delete customFields[key]
+      continue
+    }
+
+    const cast = castValue(field, value)
+
+    if (cast.message) {
+      return cast
+    }
+
+    customFields[key] = cast.value
+  }
+
+  const missing = fields.filter((field) => field.required && customFields[field.key] === undefined)
+
+  if (missing.length > 0) {
+    return { message: `Please fill in: ${missing.map((field) => field.label).join(", ")}` }
+  }
+
+  return { customFields }
+}
+
+// Check tags given as a list or a comma separated string. Tags are trimmed,
+// lowercased and deduplicated. Returns { tags } or { message }.
+const parseTags = (tags) => {
+  const list = typeof tags === "string" ? tags.split(",") : tags
+
+  if (!Array.isArray(list) || !list.every((tag) => typeof tag === "string")) {
+    return { message: "Tags must be a list of strings" }
+  }
+
+  const unique = [...new Set(list.map((tag) => tag.trim().toLowerCase()).filter(Boolean))]
+
+  if (unique.length > MAX_TAGS) {
+    return { message: `A deal can have at most ${MAX_TAGS} tags` }
+  }
+
+  if (unique.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return { message: `Tags cannot be more than ${MAX_TAG_LENGTH} characters` }
+  }
+
+  return { tags: unique }
+}
+
+// Check a custom field definition from an admin request, on top of the
+// existing field when it is being changed (its key and type are fixed).
+// Returns { definition } or { message }.
+const parseFieldDefinition = (body, existing) => {
+  const { key, label, type, options, required, dealTypes } = body
+  const definition = {}
+
+  if (!existing) {
+    if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+      return { message: "Key must start with a letter and only use letters, digits and _ (at most 40 characters)" }
+    }
+
+    if (!FIELD_TYPES.includes(type)) {
+      return { message: `Type must be one of: ${FIELD_TYPES.join(", ")}` }
+    }
+
+    Object.assign(definition, { key, type })
+  }
+
+  if (label !== undefined || !existing) {
+    if (typeof label !== "string" || !label.trim()) {
+      return { message: "Please provide a label" }
+    }
+
+    definition.label = label
+  }
+
+  if (options !== undefined) {
+    if (!Array.isArray(options) || !options.every((option) => typeof option === "string" && option.trim())) {
+      return { message: "Options must be a list of values" }
+    }
+
+    definition.options = [...new Set(options.map((option) => option.trim()))]
+  }
+
+  const current = existing || { type, options: [] }
+
+  if (current.type === "enum" && (definition.options || current.options).length === 0) {
+    return { message: "Enum fields need at least one option" }
+  }
+
+  if (required !== undefined) {
+    definition.required = Boolean(required)
+  }
+
+  if (dealTypes !== undefined) {
+    if (!Array.isArray(dealTypes) || !dealTypes.every((dealType) => typeof dealType === "string")) {
+      return { message: "Deal types must be a list of names" }
+    }
+
+    definition.dealTypes = [...new Set(dealTypes.map(normalizeDealType).filter(Boolean))]
+  }
+
+  return { definition }
+}
+
+module.exports = {
+  normalizeDealType,
+  fieldsFor,
+  castValue,
+  parseCustomFields,
+  parseTags,
+  parseFieldDefinition,
+}
@@ -0,0 +1,78 @@
+// Works for both populated and unpopulated references
+const idOf = (ref) => (ref ? (ref._id || ref).toString() : null)
+
+// Work out how a user takes part in a deal. Buyers and sellers act on their
+// own deals directly; people added to the deal's participants list (co-buyers,
+// advisors, lawyers...) take part with the role and permissions they were
+// given; members of the organization on either side take part through it,
+// with org viewers getting a read-only participant role. What each participant
+// role may do is decided by the policy engine in permissions.js.
+//
+// Returns { side, participantRole, permissions } where side is "buyer",
+// "seller" or null, participantRole is "buyer", "seller", a participants list
+// role, "orgMember", "orgViewer" or null, and permissions is set only for
+// participants list entries.
+const getDealParticipation = (deal, user) => {
+  const userId = user._id.toString()
+  const orgId = idOf(user.organization)
+
+  if (idOf(deal.buyer) === userId) {
+    return { side: "buyer", participantRole: "buyer" }
+  }
+
+  if (idOf(deal.seller) === userId) {
+    return { side: "seller", participantRole: "seller" }
+  }
+
+  const participant = (deal.participants || []).find((entry) => idOf(entry.user) === userId)
+
+  if (participant) {
+    return { side: participant.side || null, participantRole: participant.role, permissions: participant.permissions }
+  }
+
+  let side = null
+
+  if (orgId && idOf(deal.buyerOrganization) === orgId) {
+    side = "buyer"
+  } else if (orgId && idOf(deal.sellerOrganization) === orgId) {
+    side = "seller"
+  }
+
+  if (side) {
+    return { side, participantRole: user.organizationRole === "viewer" ? "orgViewer" : "orgMember" }
+  }
+
+  return { side: null, participantRole: null }
+}
+
+// Documents can be restricted to one side of the deal; whoever uploaded one
+// can always get it back
+const canAccessDocument = (deal, user, document) => {
+  if (document.accessControl === "all") {
+    return true
+  }
+
+  const { side } = getDealParticipation(deal, user)
+
+  return document.accessControl === side || idOf(document.uploadedBy) === idOf(user)
+}
+
+// Ids of everyone named on a deal: its buyer, seller and participants list
+const dealMemberIds = (deal) => {
+  const ids = [idOf(deal.buyer), idOf(deal.seller), ...(deal.participants || []).map((entry) => idOf(entry.user))]
+  return [...new Set(ids.filter(Boolean))]
+}
+
+// Query conditions matching every deal a user takes part in, directly or
+// through their organization
+const participantConditions = (user) => {
+  const conditions = [{ buyer: user._id }, { seller: user._id }, { "participants.user": user._id }]
+
+  if (user.organization) {
+    conditions.push({ buyerOrganization: user.organization }, { sellerOrganization: user.organization })
+  }
+
+  return conditions
+}
+
+module.exports = { idOf, getDealParticipation, canAccessDocument, dealMemberIds, participantConditions }
@@ -0,0 +1,197 @@
+const Deal = require("../models/Deal")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { applyTransition, saveTransition } = require("./dealStateMachine")
+const { notifyDealMembers } = require("./notifications")
+const { recordDealEvent } = require("./dealEvents")
+const { defineJob, scheduleJob, cancelJob, startScheduler } = require("./scheduler")
+
+// Deal expiry and negotiation deadlines, run by the Redis scheduler.
+//
+// - Open deals nobody has picked up expire PENDING_DEAL_EXPIRY_DAYS (default
+//   14) after they were opened and are cancelled.
+// - A deal can have a deadline for reaching agreement. Everyone on it is
+//   reminded DEADLINE_REMINDER_HOURS (default 24) beforehand; if it is still
+//   being negotiated when the deadline passes it is cancelled or escalated to
+//   the admins, as its deadlineAction says.
+
+const PENDING_DEAL_EXPIRY_DAYS = Number(process.env.PENDING_DEAL_EXPIRY_DAYS) || 14
+const DEADLINE_REMINDER_HOURS = Number(process.env.DEADLINE_REMINDER_HOURS) || 24
+
+// A deadline stops mattering once the deal is agreed
+const NEGOTIATING_STATUSES = ["open", "negotiating", "due-diligence"]
+
+const pendingExpiry = () => new Date(Date.now() + PENDING_DEAL_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+
+// Check a deadline from a request body. Returns { deadline } (null clears it)
+// or { message } when it is invalid.
+const parseDeadline = (value) => {
+  if (value === null || value === "") {
+    return { deadline: null }
+  }
+
+  const deadline = new Date(value)
+
+  if (Number.isNaN(deadline.getTime()) || deadline <= Date.now()) {
+    return { message: "Deadline must be a date in the future" }
+  }
+
+  return { deadline }
+}
+
+// (Re)schedule a deal's jobs after it is created or its dates change. Jobs
+// left over from old dates find nothing to do when they run.
+const scheduleDealJobs = async (redisClient, deal) => {
+  if (!redisClient) {
+    return
+  }
+
+  if (deal.expiresAt && deal.status === "open" && !deal.seller) {
+    await scheduleJob(redisClient, "deal.expire", deal._id, deal.expiresAt)
+  } else {
+    await cancelJob(redisClient, "deal.expire", deal._id)
+  }
+
+  if (deal.deadline && NEGOTIATING_STATUSES.includes(deal.status)) {
+    const remindAt = deal.deadline.getTime() - DEADLINE_REMINDER_HOURS * 60 * 60 * 1000
+
+    await scheduleJob(redisClient, "deal.deadlineReminder", deal._id, remindAt)
+    await scheduleJob(redisClient, "deal.deadline", deal._id, deal.deadline)
+  } else {
+    await cancelJob(redisClient, "deal.deadlineReminder", deal._id)
+    await cancelJob(redisClient, "deal.deadline", deal._id)
+  }
+}
+
+// Cancel a deal on the system's behalf
+const cancelDeal = async (deal, io, reason) => {
+  const before = { status: deal.status }
+
+  applyTransition(deal, null, "cancelled", { reason })
+
+  // A user moved the deal while the job was running; leave it to them
+  deal = await saveTransition(deal, before.status)
+
+  if (!deal) {
+    return
+  }
+
+  await recordDealEvent(deal, null, "status.changed", { before, after: { status: deal.status, reason } })
+
+  await notifyDealMembers(io, deal, { type: "status", content: `Deal "${deal.title}" was cancelled: ${reason}` })
+
+  if (io) {
+    io.to(`deal:${deal._id}`).emit("deal_status_updated", deal)
+  }
+}
+
+defineJob("deal.expire", async (dealId, { io }) => {
+  const deal = await Deal.findById(dealId)
+
+  if (!deal || deal.status !== "open" || deal.seller || !deal.expiresAt || deal.expiresAt > Date.now()) {
+    return
+  }
+
+  await cancelDeal(deal, io, "Nobody picked up the deal before it expired")
+})
+
+defineJob("deal.deadlineReminder", async (dealId, { io }) => {
+  const deal = await Deal.findById(dealId)
+
+  if (!deal || !deal.deadline || deal.deadlineReminderSentAt || !NEGOTIATING_STATUSES.includes(deal.status)) {
+    return
+  }
+
+  // The deadline has moved since this reminder was scheduled
+  if (deal.deadline.getTime() - DEADLINE_REMINDER_HOURS * 60 * 60 * 1000 > Date.now()) {
+    return
+  }
+
+  deal.deadlineReminderSentAt = Date.now()
+  await deal.save()
+
+  await recordDealEvent(deal, null, "deadline.reminded", { after: { deadline: deal.deadline } })
+
+  await notifyDealMembers(io, deal, {
+    type: "status",
+    content: `Deal "${deal.title}" has to be agreed by ${deal.deadline.toISOString()} or it will be ${
+      deal.deadlineAction === "escalate" ? "escalated to an administrator" : "cancelled"
+    }`,
+  })
+})
+
+defineJob("deal.deadline", async (dealId, { io }) => {
+  const deal = await Deal.findById(dealId)
+
+  if (!deal || !deal.deadline || deal.deadline > Date.now() || !NEGOTIATING_STATUSES.includes(deal.status)) {
+    return
+  }
+
+  if (deal.deadlineAction !== "escalate") {
+    await cancelDeal(deal, io, "The negotiation deadline passed")
+    return
+  }
+
+  if (deal.escalatedAt) {
+    return
+  }
+
+  deal.escalatedAt = Date.now()
+  await deal.save()
+
+  await recordDealEvent(deal, null, "deal.escalated", { after: { deadline: deal.deadline, status: deal.status } })
+
+  const content = `Deal "${deal.title}" missed its negotiation deadline and was escalated to an administrator`
+
+  await notifyDealMembers(io, deal, { type: "status", content })
+
+  for (const admin of await User.find({ role: "admin" }).select("_id")) {
+    const notification = new Notification({
+      user: admin._id,
+      type: "status",
+      content,
+      dealId: deal._id,
+      read: false,
+    })
+
+    await notification.save()
+
+    if (io) {
+      io.to(`user:${admin._id}`).emit("new_notification", notification)
+    }
+  }
+
+  if (io) {
+    io.to(`deal:${deal._id}`).emit("deal_status_updated", deal)
+  }
+})
+
+// Put the jobs for every deal with a pending expiry or deadline back in the
+// schedule (in case Redis lost them), then start running them. Open deals
+// from before expiry existed get a full expiry period from now, rather than
+// all expiring at once.
+const startDealScheduler = async (io, redisClient) => {
+  const backfilled = await Deal.updateMany(
+    { status: "open", seller: null, expiresAt: null },
+    { $set: { expiresAt: pendingExpiry() } },
+  )
+
+  if (backfilled.modifiedCount > 0) {
+    console.log(`Set an expiry on ${backfilled.modifiedCount} open deal(s)`)
+  }
+
+  const deals = await Deal.find({
+    $or: [
+      { status: "open", seller: null, expiresAt: { $ne: null } },
+      { status: { $in: NEGOTIATING_STATUSES }, deadline: { $ne: null } },
+    ],
+  }).select("status seller expiresAt deadline")
+
+  for (const deal of deals) {
+    await scheduleDealJobs(redisClient, deal)
+  }
+
+  return startScheduler(redisClient, { io })
+}
+
+module.exports = { NEGOTIATING_STATUSES, pendingExpiry, parseDeadline, scheduleDealJobs, startDealScheduler }
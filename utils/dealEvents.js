@@ -0,0 +1,79 @@
+const DealEvent = require("../models/DealEvent")
+const { idOf } = require("./dealAccess")
+
+// Every action recorded on a deal's timeline
+const DEAL_EVENT_ACTIONS = [
+  "deal.created",
+  "deal.updated",
+  "deal.deleted",
+  "deal.frozen",
+  "deal.unfrozen",
+  "deal.escalated",
+  "deadline.reminded",
+  "status.changed",
+  "price.updated",
+  "price.locked",
+  "offer.created",
+  "offer.countered",
+  "offer.accepted",
+  "offer.rejected",
+  "offer.withdrawn",
+  "offer.expired",
+  "participant.added",
+  "participant.updated",
+  "participant.removed",
+  "invitation.sent",
+  "invitation.resent",
+  "invitation.revoked",
+  "invitation.accepted",
+  "nda.updated",
+  "nda.removed",
+  "nda.accepted",
+  "document.uploaded",
+  "document.deleted",
+  "agreement.requested",
+  "agreement.signed",
+  "agreement.completed",
+  "agreement.cancelled",
+  "message.sent",
+  "message.read",
+  "task.created",
+  "task.updated",
+  "task.deleted",
+  "escrow.deposit",
+  "escrow.hold",
+  "escrow.release",
+  "escrow.refund",
+]
+
+// Keep only the fields whose value changed, so events hold a compact diff
+const diff = (before = {}, after = {}) => {
+  const changed = { before: {}, after: {} }
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changed.before[field] = before[field]
+      changed.after[field] = after[field]
+    }
+  })
+
+  return changed
+}
+
+// Append an event to a deal's timeline. subject is the id of the thing acted
+// on; before/after hold the affected fields. Pass only after for things that
+// were created and only before for things that were removed.
+const recordDealEvent = (deal, actor, action, { subject, before, after } = {}) => {
+  const changes = before && after ? diff(before, after) : { before, after }
+
+  return DealEvent.create({
+    deal: idOf(deal),
+    actor: idOf(actor) || undefined,
+    action,
+    subject: idOf(subject) || undefined,
+    before: changes.before,
+    after: changes.after,
+  })
+}
+
+module.exports = { DEAL_EVENT_ACTIONS, recordDealEvent }
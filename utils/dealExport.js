@@ -0,0 +1,263 @@
+const fs = require("fs")
+const path = require("path")
+const { finished } = require("stream/promises")
+const archiver = require("archiver")
+const PDFDocument = require("pdfkit")
+const Message = require("../models/Message")
+const Document = require("../models/Document")
+const DealExport = require("../models/DealExport")
+const Notification = require("../models/Notification")
+const { can } = require("./permissions")
+const { canAccessDocument } = require("./dealAccess")
+const { STATUS_LABELS } = require("./dealStateMachine")
+const { checkNdaAccepted } = require("./nda")
+const { formatMoney } = require("./money")
+
+// Closing binder export: a ZIP with a PDF summary of the deal, the message
+// transcript and the deal's documents grouped by uploader. Each part is only
+// included if the requesting user may see it.
+
+const UPLOAD_DIR = path.join(__dirname, "../uploads")
+const EXPORT_DIR = path.join(UPLOAD_DIR, "exports")
+
+// Exports whose documents add up to more than this are built in the background
+const BACKGROUND_THRESHOLD = (Number(process.env.EXPORT_BACKGROUND_THRESHOLD_MB) || 25) * 1024 * 1024
+const EXPORT_TTL_HOURS = Number(process.env.EXPORT_TTL_HOURS) || 24
+
+// Keep file and folder names safe inside the archive
+const safeName = (name) => name.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").trim() || "unnamed"
+
+const formatDate = (date) => new Date(date).toISOString().replace("T", " ").slice(0, 16)
+
+const personName = (user) => (user ? `${user.name} <${user.email}>` : "Unknown user")
+
+// Gather everything the user may export. The deal is populated in place.
+const collectExport = async (deal, user) => {
+  const allowed = {
+    prices: await can(user, "price.view", { deal }),
+    messages: await can(user, "message.view", { deal }),
+    documents: (await can(user, "document.download", { deal })) && !(await checkNdaAccepted(deal, user)),
+  }
+
+  await deal.populate([
+    { path: "buyer", select: "name email" },
+    { path: "seller", select: "name email" },
+    { path: "participants.user", select: "name email" },
+    { path: "priceHistory.user", select: "name email" },
+    { path: "transitions.user", select: "name email" },
+  ])
+
+  const messages = allowed.messages
+    ? await Message.find({ deal: deal._id }).populate("sender", "name email").sort({ createdAt: 1 })
+    : []
+
+  const documents = allowed.documents
+    ? (await Document.find({ deal: deal._id }).populate("uploadedBy", "name email").sort({ createdAt: 1 })).filter(
+        (document) => canAccessDocument(deal, user, document),
+      )
+    : []
+
+  return {
+    deal,
+    user,
+    allowed,
+    messages,
+    documents,
+    size: documents.reduce((total, document) => total + document.fileSize, 0),
+  }
+}
+
+const isLarge = (contents) => contents.size > BACKGROUND_THRESHOLD
+
+// PDF summary: parties, price and price history, and the status timeline
+const summaryPdf = ({ deal, user, allowed }) => {
+  const pdf = new PDFDocument({ margin: 50, info: { Title: `Deal summary: ${deal.title}` } })
+
+  const heading = (text) => pdf.moveDown().fontSize(14).font("Helvetica-Bold").text(text).moveDown(0.3)
+  const line = (text) => pdf.fontSize(10).font("Helvetica").text(text)
+
+  pdf.fontSize(18).font("Helvetica-Bold").text(deal.title)
+  line(`Status: ${deal.status}`)
+  line(`Created: ${formatDate(deal.createdAt)}`)
+  line(`Exported: ${formatDate(Date.now())} by ${personName(user)}`)
+
+  if (deal.description) {
+    pdf.moveDown(0.5)
+    line(deal.description)
+  }
+
+  heading("Parties")
+  line(`Buyer: ${personName(deal.buyer)}`)
+  line(`Seller: ${deal.seller ? personName(deal.seller) : "None yet"}`)
+
+  deal.participants.forEach((participant) => {
+    line(`${participant.role}${participant.side ? ` (${participant.side} side)` : ""}: ${personName(participant.user)}`)
+  })
+
+  if (allowed.prices) {
+    heading("Price")
+    line(`Final price: ${formatMoney(deal.price, deal.currency)}${deal.priceLocked ? " (locked by an accepted offer)" : ""}`)
+
+    heading("Price history")
+
+    if (deal.priceHistory.length === 0) {
+      line("No price changes")
+    }
+
+    deal.priceHistory.forEach((entry) => {
+      line(`${formatDate(entry.timestamp)}  ${formatMoney(entry.price, entry.currency || deal.currency)}  set by ${personName(entry.user)}`)
+    })
+  }
+
+  heading("Status timeline")
+  line(`${formatDate(deal.createdAt)}  created`)
+
+  deal.transitions.forEach((transition) => {
+    line(
+      `${formatDate(transition.timestamp)}  ${STATUS_LABELS[transition.to] || transition.to} by ${
+        transition.user ? personName(transition.user) : "the system"
+      }${transition.reason ? ` (${transition.reason})` : ""}`,
+    )
+  })
+
+  pdf.end()
+
+  return pdf
+}
+
+const transcript = ({ deal, messages }) =>
+  [
+    `Messages in deal "${deal.title}"`,
+    "",
+    ...messages.map((message) => `[${formatDate(message.createdAt)}] ${personName(message.sender)}: ${message.content}`),
+    "",
+  ].join("\n")
+
+// Write the ZIP to a stream (an HTTP response or a file)
+const writeExport = async (contents, output) => {
+  const archive = archiver("zip", { zlib: { level: 9 } })
+  const missing = []
+
+  archive.pipe(output)
+
+  archive.append(summaryPdf(contents), { name: "summary.pdf" })
+
+  if (contents.allowed.messages) {
+    archive.append(transcript(contents), { name: "messages.txt" })
+  }
+
+  // documents/<uploader>/<file>, numbering files that share a name
+  const used = new Set()
+
+  contents.documents.forEach((document) => {
+    const filePath = path.join(UPLOAD_DIR, document.fileName)
+
+    if (!fs.existsSync(filePath)) {
+      missing.push(document.originalName)
+      return
+    }
+
+    const folder = safeName(document.uploadedBy ? document.uploadedBy.name : "Unknown user")
+    const { name, ext } = path.parse(safeName(document.originalName))
+    let entry = `documents/${folder}/${name}${ext}`
+
+    for (let copy = 2; used.has(entry); copy += 1) {
+      entry = `documents/${folder}/${name} (${copy})${ext}`
+    }
+
+    used.add(entry)
+    archive.file(filePath, { name: entry, date: document.createdAt })
+  })
+
+  if (missing.length > 0) {
+    archive.append(`These documents could not be found on the server:\n${missing.join("\n")}\n`, {
+      name: "documents/MISSING.txt",
+    })
+  }
+
+  await Promise.all([archive.finalize(), finished(output)])
+}
+
+// Delete background exports that have passed their expiry
+const removeExpiredExports = async () => {
+  const expired = await DealExport.find({ expiresAt: { $lte: new Date() } })
+
+  for (const dealExport of expired) {
+    if (dealExport.fileName) {
+      await fs.promises.rm(path.join(EXPORT_DIR, dealExport.fileName), { force: true })
+    }
+
+    await DealExport.findByIdAndDelete(dealExport._id)
+  }
+}
+
+// Build an export into uploads/exports and notify the user when it is ready.
+// Returns the DealExport straight away; the ZIP is written afterwards.
+const startBackgroundExport = async (contents, { io } = {}) => {
+  const { deal, user } = contents
+
+  const dealExport = new DealExport({
+    deal: deal._id,
+    requestedBy: user._id,
+    expiresAt: new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000),
+  })
+
+  await dealExport.save()
+
+  const build = async () => {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true })
+
+    const fileName = `${dealExport._id}.zip`
+    const filePath = path.join(EXPORT_DIR, fileName)
+
+    try {
+      await writeExport(contents, fs.createWriteStream(filePath))
+
+      dealExport.status = "ready"
+      dealExport.fileName = fileName
+      dealExport.fileSize = (await fs.promises.stat(filePath)).size
+    } catch (err) {
+      console.error("Error building deal export:", err.message)
+
+      await fs.promises.rm(filePath, { force: true })
+      dealExport.status = "failed"
+      dealExport.error = err.message
+    }
+
+    dealExport.completedAt = Date.now()
+    await dealExport.save()
+
+    const notification = new Notification({
+      user: user._id,
+      type: "export",
+      content:
+        dealExport.status === "ready"
+          ? `Your export of deal "${deal.title}" is ready to download`
+          : `Your export of deal "${deal.title}" could not be built`,
+      dealId: deal._id,
+      read: false,
+    })
+
+    await notification.save()
+
+    if (io) {
+      io.to(`user:${user._id}`).emit("new_notification", notification)
+      io.to(`user:${user._id}`).emit("export_ready", dealExport)
+    }
+  }
+
+  build().catch((err) => {
+    console.error("Error finishing deal export:", err.message)
+  })
+
+  return dealExport
+}
+
+module.exports = {
+  EXPORT_DIR,
+  collectExport,
+  isLarge,
+  writeExport,
+  removeExpiredExports,
+  startBackgroundExport,
+}
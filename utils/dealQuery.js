@@ -0,0 +1,312 @@
+const mongoose = require("mongoose")
+const Deal = require("../models/Deal")
+const CustomField = require("../models/CustomField")
+const { parsePriceRange } = require("./exchangeRates")
+const { normalizeDealType, castValue, parseTags } = require("./customFields")
+
+// Filtering, sorting and cursor pagination for deal list endpoints.
+//
+// Supported query parameters:
+//   status         one status or a comma separated list
+//   minPrice, maxPrice   minor units of currency, matching deals in any
+//                  currency with an exchange rate
+//   currency       currency of minPrice and maxPrice (default BASE_CURRENCY)
+//   counterparty   user id of a buyer, seller or participant
+//   listing        listing id
+//   createdFrom, createdTo, updatedFrom, updatedTo   ISO dates
+//   q              case-insensitive search in the title
+//   dealType       deal type
+//   tags           comma separated; deals with all of them
+//   fields[<key>]  custom field value: a case-insensitive search for text
+//                  fields, one value or a comma separated list otherwise;
+//                  number and date fields also take fields[<key>][min] and
+//                  fields[<key>][max]
+//   sort           createdAt, updatedAt, price or title (default updatedAt);
+//                  price sorts by amount, whatever the currency
+//   order          asc or desc (default desc)
+//   limit          page size, 1-100 (default 20 with paginate=true, else
+//                  every deal)
+//   cursor         nextCursor from the previous page
+//   paginate       true to get { deals, pagination } instead of an array
+//
+// Lists are plain arrays unless paginate=true; the pagination details are
+// also sent as X-Total-Count, X-Has-More and X-Next-Cursor headers.
+
+const SORT_FIELDS = { createdAt: "date", updatedAt: "date", price: "number", title: "string" }
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const parseDate = (value) => {
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+const encodeCursor = (deal, sort) => {
+  const value = deal[sort] instanceof Date ? deal[sort].toISOString() : deal[sort]
+  return Buffer.from(JSON.stringify({ v: value, id: deal._id })).toString("base64url")
+}
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString())
+
+    if (!mongoose.isValidObjectId(id)) {
+      return null
+    }
+
+    return { value: SORT_FIELDS[sort] === "date" ? parseDate(v) : v, id: new mongoose.Types.ObjectId(id) }
+  } catch (err) {
+    return null
+  }
+}
+
+// Conditions for fields[<key>] parameters. Returns { conditions } or { message }.
+const parseFieldFilters = async (filters) => {
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    return { message: "Filter custom fields with fields[<key>]=<value>" }
+  }
+
+  const fields = await CustomField.find({ key: { $in: Object.keys(filters) } })
+  const conditions = []
+
+  for (const [key, filter] of Object.entries(filters)) {
+    const field = fields.find((candidate) => candidate.key === key)
+    const path = `customFields.${key}`
+
+    if (!field) {
+      return { message: `Unknown custom field "${key}"` }
+    }
+
+    if (typeof filter === "object") {
+      if (!["number", "date"].includes(field.type) || Array.isArray(filter)) {
+        return { message: `fields[${key}] takes a single value` }
+      }
+
+      const range = {}
+
+      for (const [param, operator] of [
+        ["min", "$gte"],
+        ["max", "$lte"],
+      ]) {
+        if (filter[param] !== undefined) {
+          const cast = castValue(field, filter[param])
+
+          if (cast.message) {
+            return cast
+          }
+
+          range[operator] = cast.value
+        }
+      }
+
+      if (Object.keys(range).length === 0) {
+        return { message: `fields[${key}] takes min and max` }
+      }
+
+      conditions.push({ [path]: range })
+    } else if (field.type === "text") {
+      conditions.push({ [path]: { $regex: escapeRegex(String(filter)), $options: "i" } })
+    } else {
+      const values = []
+
+      for (const value of String(filter).split(",")) {
+        const cast = castValue(field, value.trim())
+
+        if (cast.message) {
+          return cast
+        }
+
+        values.push(cast.value)
+      }
+
+      conditions.push({ [path]: { $in: values } })
+    }
+  }
+
+  return { conditions }
+}
+
+// Turn the query string into filter conditions.
+// Returns { conditions } or { message } when a parameter is invalid.
+const parseFilters = async (query) => {
+  const conditions = []
+
+  if (query.status) {
+    const statuses = [].concat(query.status).join(",").split(",")
+    const valid = Deal.schema.path("status").enumValues
+
+    if (!statuses.every((status) => valid.includes(status))) {
+      return { message: `Status must be one of: ${valid.join(", ")}` }
+    }
+
+    conditions.push({ status: { $in: statuses } })
+  }
+
+  const priceRange = await parsePriceRange(query)
+
+  if (priceRange.message) {
+    return priceRange
+  }
+
+  if (priceRange.condition) {
+    conditions.push(priceRange.condition)
+  }
+
+  for (const param of ["counterparty", "listing"]) {
+    if (query[param] && !mongoose.isValidObjectId(query[param])) {
+      return { message: `${param} must be a valid id` }
+    }
+  }
+
+  if (query.counterparty) {
+    const userId = new mongoose.Types.ObjectId(query.counterparty)
+    conditions.push({ $or: [{ buyer: userId }, { seller: userId }, { "participants.user": userId }] })
+  }
+
+  if (query.listing) {
+    conditions.push({ listing: new mongoose.Types.ObjectId(query.listing) })
+  }
+
+  for (const [field, from, to] of [
+    ["createdAt", "createdFrom", "createdTo"],
+    ["updatedAt", "updatedFrom", "updatedTo"],
+  ]) {
+    const range = {}
+
+    for (const [param, operator] of [
+      [from, "$gte"],
+      [to, "$lte"],
+    ]) {
+      if (query[param]) {
+        const date = parseDate(query[param])
+
+        if (!date) {
+          return { message: `${param} must be a date` }
+        }
+
+        range[operator] = date
+      }
+    }
+
+    if (Object.keys(range).length > 0) {
+      conditions.push({ [field]: range })
+    }
+  }
+
+  if (query.q) {
+    conditions.push({ title: { $regex: escapeRegex(String(query.q)), $options: "i" } })
+  }
+
+  if (query.dealType) {
+    conditions.push({ dealType: normalizeDealType(query.dealType) })
+  }
+
+  if (query.tags) {
+    const parsed = parseTags([].concat(query.tags).join(","))
+
+    if (parsed.message) {
+      return parsed
+    }
+
+    if (parsed.tags.length > 0) {
+      conditions.push({ tags: { $all: parsed.tags } })
+    }
+  }
+
+  if (query.fields !== undefined) {
+    const parsed = await parseFieldFilters(query.fields)
+
+    if (parsed.message) {
+      return parsed
+    }
+
+    conditions.push(...parsed.conditions)
+  }
+
+  return { conditions }
+}
+
+// Find one page of deals matching the query string on top of the base
+// conditions (typically access rules). populate is a list of populate() args.
+// Returns { deals, pagination } or { message } when the query is invalid.
+const findDealsPage = async (query, { conditions: baseConditions = [], populate = [] } = {}) => {
+  const sort = query.sort || "updatedAt"
+  const order = query.order === "asc" ? 1 : -1
+  const paginated = query.paginate === "true"
+  const limit = query.limit === undefined ? (paginated ? DEFAULT_LIMIT : null) : Number.parseInt(query.limit)
+
+  if (!SORT_FIELDS[sort]) {
+    return { message: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}` }
+  }
+
+  if (limit !== null && (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT)) {
+    return { message: `Limit must be between 1 and ${MAX_LIMIT}` }
+  }
+
+  const parsed = await parseFilters(query)
+
+  if (parsed.message) {
+    return parsed
+  }
+
+  const conditions = [...baseConditions, ...parsed.conditions]
+  const filter = conditions.length > 0 ? { $and: conditions } : {}
+  const pageConditions = [...conditions]
+
+  // Continue after the last deal of the previous page
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort)
+
+    if (!cursor) {
+      return { message: "Invalid cursor" }
+    }
+
+    const operator = order === 1 ? "$gt" : "$lt"
+
+    pageConditions.push({
+      $or: [{ [sort]: { [operator]: cursor.value } }, { [sort]: cursor.value, _id: { [operator]: cursor.id } }],
+    })
+  }
+
+  let finder = Deal.find(pageConditions.length > 0 ? { $and: pageConditions } : {}).sort({ [sort]: order, _id: order })
+
+  if (limit !== null) {
+    finder = finder.limit(limit + 1)
+  }
+
+  populate.forEach((args) => {
+    finder = finder.populate(...args)
+  })
+
+  const [deals, total] = await Promise.all([finder, Deal.countDocuments(filter)])
+  const hasMore = limit !== null && deals.length > limit
+
+  if (hasMore) {
+    deals.pop()
+  }
+
+  return {
+    deals,
+    pagination: {
+      total,
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(deals[deals.length - 1], sort) : null,
+    },
+  }
+}
+
+// Send a page from findDealsPage in the shape the query asked for
+const sendDealsPage = (res, query, { deals, pagination }) => {
+  res.set({
+    "X-Total-Count": String(pagination.total),
+    "X-Has-More": String(pagination.hasMore),
+    ...(pagination.nextCursor ? { "X-Next-Cursor": pagination.nextCursor } : {}),
+  })
+
+  res.json(query.paginate === "true" ? { deals, pagination } : deals)
+}
+
+module.exports = { findDealsPage, sendDealsPage }
@@ -0,0 +1,206 @@
+const Deal = require("../models/Deal")
+const Document = require("../models/Document")
+const { getDealParticipation } = require("./dealAccess")
+const { can } = require("./permissions")
+const { getBalances, isFunded } = require("./escrow")
+
+const STATUSES = Deal.schema.path("status").enumValues
+
+// Deals in these states are still being worked on
+const ACTIVE_STATUSES = ["open", "negotiating", "due-diligence", "agreed", "closing"]
+
+const TERMINAL_STATUSES = ["closed", "cancelled"]
+
+// How a status change reads in notifications ("Deal X was <label> by Y")
+const STATUS_LABELS = {
+  open: "opened",
+  negotiating: "moved into negotiation",
+  "due-diligence": "moved to due diligence",
+  agreed: "marked as agreed",
+  closing: "moved to closing",
+  closed: "closed",
+  cancelled: "cancelled",
+}
+
+// Sellers may pick up an open public deal that has no seller yet
+const isPickingUp = async (deal, user) =>
+  !deal.seller && deal.visibility !== "private" && (await can(user, "deal.accept", { deal }))
+
+const isParty = (deal, user) => can(user, "deal.updateStatus", { deal })
+
+// The side that did not start the deal answers it
+const isCounterparty = async (deal, user) => {
+  const { side } = getDealParticipation(deal, user)
+  return (side && side !== deal.initiatedBy && (await isParty(deal, user))) || (await can(user, "deal.forceTransition"))
+}
+
+// Only the buyer side confirms that a deal has closed
+const isBuyerSide = async (deal, user) => {
+  const { side } = getDealParticipation(deal, user)
+  return (side === "buyer" && (await isParty(deal, user))) || (await can(user, "deal.forceTransition"))
+}
+
+const hasSeller = (deal) => (deal.seller ? null : "The deal has no seller yet")
+
+const hasTerms = (deal) =>
+  deal.title && deal.description && deal.price > 0 ? null : "The deal needs a title, description and price"
+
+const hasDocuments = async (deal) =>
+  (await Document.exists({ deal: deal._id })) ? null : "At least one document must be shared before the deal is agreed"
+
+const hasFundedEscrow = async (deal) =>
+  isFunded(deal, await getBalances(deal)) ? null : "The escrow must hold the full deal price before the deal can close"
+
+// A deal closes on at least one agreement signed by everyone (see
+// utils/agreements.js), and agreements waiting for signatures hold it up
+const hasSignedAgreements = async (deal) => {
+  if (await Document.exists({ deal: deal._id, "agreement.status": "pending" })) {
+    return "Every agreement must be signed before the deal can close"
+  }
+
+  return (await Document.exists({ deal: deal._id, "agreement.status": "signed" }))
+    ? null
+    : "At least one agreement must be signed by everyone before the deal can close"
+}
+
+// Allowed transitions. Each one names who may trigger it (a check on the
+// deal and user) and the preconditions that must hold (checks returning an
+// error message, or null when satisfied).
+const TRANSITIONS = {
+  draft: {
+    open: { who: isParty, requires: [hasTerms], denied: "Only deal participants can open this deal" },
+    cancelled: { who: isParty, denied: "Only deal participants can cancel this deal" },
+  },
+  open: {
+    negotiating: {
+      who: async (deal, user) => (deal.seller ? isCounterparty(deal, user) : isPickingUp(deal, user)),
+      denied: "Only the other side of the deal can accept it",
+    },
+    cancelled: { who: isParty, denied: "Only deal participants can cancel this deal" },
+  },
+  negotiating: {
+    "due-diligence": { who: isParty, requires: [hasSeller], denied: "Only deal participants can start due diligence" },
+    cancelled: { who: isParty, denied: "Only deal participants can cancel this deal" },
+  },
+  "due-diligence": {
+    negotiating: { who: isParty, denied: "Only deal participants can reopen negotiation" },
+    agreed: { who: isParty, requires: [hasDocuments], denied: "Only deal participants can agree the deal" },
+    cancelled: { who: isParty, denied: "Only deal participants can cancel this deal" },
+  },
+  agreed: {
+    negotiating: { who: isParty, denied: "Only deal participants can reopen negotiation" },
+    closing: { who: isParty, denied: "Only deal participants can start closing" },
+    cancelled: { who: isParty, denied: "Only deal participants can cancel this deal" },
+  },
+  closing: {
+    closed: { who: isBuyerSide, requires: [hasFundedEscrow, hasSignedAgreements], denied: "Only the buyer side can close the deal" },
+    cancelled: { who: isParty, denied: "Only deal participants can cancel this deal" },
+  },
+  closed: {},
+  cancelled: {},
+}
+
+const isTerminal = (status) => TERMINAL_STATUSES.includes(status)
+
+// Check whether a user may move a deal to a status.
+// Returns { allowed: true } or { allowed: false, status, message } where
+// status is the HTTP status to answer with.
+const checkTransition = async (deal, user, to) => {
+  if (!STATUSES.includes(to)) {
+    return { allowed: false, status: 400, message: `Invalid status. Must be one of: ${STATUSES.join(", ")}` }
+  }
+
+  const transition = TRANSITIONS[deal.status] && TRANSITIONS[deal.status][to]
+
+  if (!transition) {
+    const next = Object.keys(TRANSITIONS[deal.status] || {})
+
+    return {
+      allowed: false,
+      status: 409,
+      message: next.length
+        ? `Cannot move a deal from "${deal.status}" to "${to}". Allowed next statuses: ${next.join(", ")}`
+        : `Cannot move a deal from "${deal.status}": it is final`,
+    }
+  }
+
+  if (!(await transition.who(deal, user))) {
+    return { allowed: false, status: 403, message: transition.denied }
+  }
+
+  for (const requirement of transition.requires || []) {
+    const failure = await requirement(deal, user)
+
+    if (failure) {
+      return { allowed: false, status: 409, message: failure }
+    }
+  }
+
+  return { allowed: true }
+}
+
+// Statuses the user could move the deal to right now
+const availableTransitions = async (deal, user) => {
+  const available = []
+
+  for (const to of Object.keys(TRANSITIONS[deal.status] || {})) {
+    if ((await checkTransition(deal, user, to)).allowed) {
+      available.push(to)
+    }
+  }
+
+  return available
+}
+
+// Move a deal to a new status and record the transition. Call checkTransition
+// first (user is null for changes made by the system); the caller saves the
+// deal with saveTransition.
+const applyTransition = (deal, user, to, { reason } = {}) => {
+  // Picking up an open deal makes the user its seller
+  if (deal.status === "open" && to === "negotiating" && !deal.seller) {
+    deal.seller = user._id
+    deal.sellerOrganization = user.organization
+  }
+
+  // Reopening negotiation releases a price locked by an accepted offer
+  if (to === "negotiating" && deal.priceLocked) {
+    deal.priceLocked = false
+    deal.acceptedOffer = undefined
+  }
+
+  deal.transitions.push({ from: deal.status, to, user: user ? user._id : undefined, reason })
+  deal.status = to
+}
+
+// Save a deal changed by applyTransition, provided its status is still `from`.
+// Returns the updated deal, or null when someone else moved it first.
+const saveTransition = (deal, from) => {
+  const update = {
+    $set: {
+      status: deal.status,
+      seller: deal.seller,
+      sellerOrganization: deal.sellerOrganization,
+      priceLocked: deal.priceLocked,
+      expiresAt: deal.expiresAt,
+    },
+    $push: { transitions: deal.transitions[deal.transitions.length - 1] },
+  }
+
+  if (!deal.acceptedOffer) {
+    update.$unset = { acceptedOffer: "" }
+  }
+
+  return Deal.findOneAndUpdate({ _id: deal._id, status: from }, update, { new: true })
+}
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  TERMINAL_STATUSES,
+  STATUS_LABELS,
+  isTerminal,
+  checkTransition,
+  availableTransitions,
+  applyTransition,
+  saveTransition,
+}
@@ -0,0 +1,182 @@
+const crypto = require("crypto")
+const LedgerTransaction = require("../models/LedgerTransaction")
+const { getDealParticipation } = require("./dealAccess")
+const { can } = require("./permissions")
+const { notifyDealMembers } = require("./notifications")
+const { recordDealEvent } = require("./dealEvents")
+const { getProvider } = require("./payments")
+const { isAmount, formatMoney } = require("./money")
+
+// Escrow for a deal, kept as a double-entry ledger. The buyer side deposits
+// money into the escrow and holds it for the deal; held money is released to
+// the seller once the deal is closing, or refunded to the buyer. Each action
+// returns { transaction, balances } on success or { status, message }
+// describing why it was refused. Amounts are minor units of the deal's
+// currency.
+
+// Where each action moves money from and to, which side may take it, and
+// which provider call (if any) moves the real money
+const ACTIONS = {
+  deposit: { from: "buyer", to: "available", side: "buyer", provider: "charge", done: "deposited", into: "into escrow" },
+  hold: { from: "available", to: "held", side: "buyer", done: "put", into: "on hold in escrow" },
+  release: { from: "held", to: "seller", side: "buyer", provider: "payout", done: "released", into: "to the seller" },
+  // Refunds come out of available money by default. Either side may refund
+  // available money; held money can only be given back by the seller side.
+  refund: { to: "buyer", provider: "refund", done: "refunded", into: "to the buyer" },
+}
+
+// Deals still being worked on can take money into escrow
+const FUNDABLE_STATUSES = ["negotiating", "due-diligence", "agreed", "closing"]
+
+// Transactions on a deal run one at a time under a Redis lock, so two of
+// them can't both spend the same balance. The lock outlives a slow payment
+// provider call and is only released by whoever took it.
+const LOCK_TTL = 60 * 1000
+const lockKey = (deal) => `escrow:lock:${deal._id}`
+const RELEASE_LOCK = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) end return 0`
+
+const getBalances = (deal) => LedgerTransaction.balancesFor(deal._id)
+
+// Held money (and money already paid out) must cover the deal price
+const isFunded = (deal, balances) => deal.price > 0 && balances.held + balances.released >= deal.price
+
+// Check the balance, move the money through the payment provider where needed
+// and record the ledger transaction. Must run under the deal's escrow lock.
+const applyTransaction = async (deal, user, type, { amount, source, memo }, { io } = {}) => {
+  const action = ACTIONS[type]
+  const balances = await getBalances(deal)
+
+  if (source !== "buyer" && balances[source] < amount) {
+    return {
+      status: 409,
+      message: `Only ${formatMoney(balances[source], deal.currency)} is ${source === "held" ? "held" : "available"} in escrow`,
+    }
+  }
+
+  const transaction = new LedgerTransaction({
+    deal: deal._id,
+    type,
+    amount,
+    currency: deal.currency,
+    entries: [
+      { account: action.to, direction: "debit", amount },
+      { account: source, direction: "credit", amount },
+    ],
+    memo,
+    createdBy: user._id,
+  })
+
+  // Move the real money first; the ledger only records what succeeded
+  if (action.provider) {
+    const provider = getProvider()
+    const payment = await provider[action.provider]({
+      amount,
+      currency: deal.currency,
+      reference: `deal:${deal._id}:${transaction._id}`,
+      payer: action.provider === "charge" ? deal.buyer : undefined,
+      payee: action.provider === "payout" ? deal.seller : action.provider === "refund" ? deal.buyer : undefined,
+    })
+
+    if (payment.status !== "succeeded") {
+      return { status: 402, message: payment.message || `The payment provider could not complete the ${type}` }
+    }
+
+    transaction.provider = provider.name
+    transaction.providerRef = payment.id
+  }
+
+  await transaction.save()
+
+  const updated = await getBalances(deal)
+
+  await recordDealEvent(deal, user, `escrow.${type}`, {
+    subject: transaction,
+    before: { available: balances.available, held: balances.held, released: balances.released },
+    after: { available: updated.available, held: updated.held, released: updated.released },
+  })
+
+  await transaction.populate("createdBy", "name email role")
+
+  if (io) {
+    io.to(`deal:${deal._id}`).emit("escrow_updated", {
+      dealId: deal._id,
+      transaction,
+      balances: updated,
+      funded: isFunded(deal, updated),
+    })
+  }
+
+  await notifyDealMembers(io, deal, {
+    actor: user,
+    type: "escrow",
+    content: `${user.name} ${action.done} ${formatMoney(amount, deal.currency)} ${action.into} for deal "${deal.title}"`,
+  })
+
+  return { transaction, balances: updated }
+}
+
+// Record a ledger transaction on a deal and move the money through the
+// payment provider where needed
+const recordTransaction = async (deal, user, type, { amount, from = "available", memo }, { io, redisClient } = {}) => {
+  const action = ACTIONS[type]
+
+  if (!(await can(user, "escrow.manage", { deal }))) {
+    return { status: 403, message: "Not authorized to manage the escrow for this deal" }
+  }
+
+  if (deal.isFrozen() && !(await can(user, "deal.overrideFreeze"))) {
+    return { status: 423, message: "This deal is frozen while a participant's account is suspended" }
+  }
+
+  if (!isAmount(amount) || amount === 0) {
+    return { status: 400, message: "Amount must be a positive whole number of minor units (e.g. cents)" }
+  }
+
+  const source = action.from || from
+
+  if (!["available", "held"].includes(source) && !action.from) {
+    return { status: 400, message: "Refunds come from available or held money" }
+  }
+
+  // Escrow admins may act for either side
+  const { side } = getDealParticipation(deal, user)
+  const requiredSide = action.side || (source === "held" ? "seller" : null)
+
+  if (!side && !(await can(user, "escrow.override"))) {
+    return { status: 403, message: "Only the buyer or seller side can move escrow money" }
+  }
+
+  if (side && requiredSide && side !== requiredSide && !(await can(user, "escrow.override"))) {
+    return { status: 403, message: `Only the ${requiredSide} side can ${type} ${source === "held" ? "held" : "escrow"} money` }
+  }
+
+  if (["deposit", "hold"].includes(type) && !FUNDABLE_STATUSES.includes(deal.status)) {
+    return { status: 409, message: "Escrow can only be funded while the deal is being negotiated or closed" }
+  }
+
+  if (type === "release" && !["closing", "closed"].includes(deal.status)) {
+    return { status: 409, message: "Escrow money can only be released once the deal is closing" }
+  }
+
+  if (type === "release" && !deal.seller) {
+    return { status: 409, message: "The deal has no seller to release money to" }
+  }
+
+  if (!redisClient) {
+    return { status: 503, message: "Escrow is unavailable right now; please try again later" }
+  }
+
+  const lockToken = crypto.randomBytes(16).toString("hex")
+
+  if ((await redisClient.set(lockKey(deal), lockToken, "PX", LOCK_TTL, "NX")) !== "OK") {
+    return { status: 409, message: "Another escrow transaction is in progress for this deal; please try again" }
+  }
+
+  try {
+    return await applyTransaction(deal, user, type, { amount, source, memo }, { io })
+  } finally {
+    await redisClient.eval(RELEASE_LOCK, 1, lockKey(deal), lockToken)
+  }
+}
+
+module.exports = { ACTIONS, getBalances, isFunded, recordTransaction }
@@ -0,0 +1,79 @@
+const ExchangeRate = require("../models/ExchangeRate")
+const { BASE_CURRENCY, normalizeCurrency, isAmount, minorDigits } = require("./money")
+
+// Rates for every currency with one, keyed by code (the base currency is 1)
+const getRates = async () => {
+  const rates = await ExchangeRate.find()
+
+  return { ...Object.fromEntries(rates.map((entry) => [entry.currency, entry.rate])), [BASE_CURRENCY]: 1 }
+}
+
+// Convert an amount in minor units from one currency to another. Returns
+// null when either currency has no rate.
+const convert = (amount, from, to, rates) => {
+  if (from === to) {
+    return amount
+  }
+
+  if (!rates[from] || !rates[to]) {
+    return null
+  }
+
+  const major = amount / 10 ** minorDigits(from)
+
+  return Math.round((major / rates[from]) * rates[to] * 10 ** minorDigits(to))
+}
+
+// Query condition matching a price range given in one currency, across every
+// currency with a rate (prices in currencies without one never match). min and
+// max are minor units and may be undefined.
+const priceRangeCondition = (min, max, currency, rates) => ({
+  $or: Object.keys(rates).map((code) => {
+    const price = {}
+
+    if (min !== undefined) {
+      price.$gte = convert(min, currency, code, rates)
+    }
+
+    if (max !== undefined) {
+      price.$lte = convert(max, currency, code, rates)
+    }
+
+    return { currency: code, price }
+  }),
+})
+
+// Turn minPrice and maxPrice from a query string, in minor units of its
+// currency parameter (default BASE_CURRENCY), into a price range condition.
+// Returns {} when neither is given, { condition }, or { message } when the
+// range is invalid.
+const parsePriceRange = async (query) => {
+  const range = {}
+
+  for (const param of ["minPrice", "maxPrice"]) {
+    if (query[param] !== undefined && query[param] !== "") {
+      const value = Number(query[param])
+
+      if (!isAmount(value)) {
+        return { message: `${param} must be a whole number of minor units (e.g. cents)` }
+      }
+
+      range[param] = value
+    }
+  }
+
+  if (Object.keys(range).length === 0) {
+    return {}
+  }
+
+  const currency = normalizeCurrency(query.currency)
+  const rates = await getRates()
+
+  if (!rates[currency]) {
+    return { message: `There is no exchange rate for ${currency}` }
+  }
+
+  return { condition: priceRangeCondition(range.minPrice, range.maxPrice, currency, rates) }
+}
+
+module.exports = { getRates, convert, parsePriceRange }
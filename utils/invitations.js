@@ -0,0 +1,136 @@
+const crypto = require("crypto")
+const Deal = require("../models/Deal")
+const Invitation = require("../models/Invitation")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { signInviteToken, verifyInviteToken } = require("./tokens")
+const { PARTICIPANT_PERMISSIONS, can, resolveParticipantSide } = require("./permissions")
+const { dealMemberIds } = require("./dealAccess")
+const { isTerminal } = require("./dealStateMachine")
+const { recordDealEvent } = require("./dealEvents")
+const { sendMail } = require("./mail")
+const { dealInvitationEmail } = require("./mail/templates")
+
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7
+
+// (Re)send an invitation with a fresh link; earlier links stop working
+const sendInvitation = async (invitation, { deal, inviter }) => {
+  invitation.nonce = crypto.randomBytes(16).toString("hex")
+  invitation.expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+  invitation.sentAt = Date.now()
+  invitation.sendCount += 1
+  await invitation.save()
+
+  const hasAccount = Boolean(await User.exists({ email: invitation.email }))
+  const token = signInviteToken(invitation)
+
+  await sendMail(dealInvitationEmail(invitation, { deal, inviter, token, hasAccount }))
+}
+
+// Look up the pending invitation a token was issued for.
+// Returns { invitation } or { status, message }.
+const findInvitationByToken = async (token) => {
+  const decoded = token && verifyInviteToken(token)
+
+  if (!decoded) {
+    return { status: 400, message: "Invalid or expired invitation link" }
+  }
+
+  const invitation = await Invitation.findById(decoded.invitation).select("+nonce")
+
+  if (!invitation || invitation.nonce !== decoded.nonce) {
+    return { status: 400, message: "This invitation link is no longer valid" }
+  }
+
+  if (invitation.status !== "pending") {
+    return { status: 409, message: `This invitation has been ${invitation.status}` }
+  }
+
+  if (invitation.isExpired()) {
+    return { status: 410, message: "This invitation has expired" }
+  }
+
+  return { invitation }
+}
+
+// Attach a user to the deal they were invited to. The invitation must be
+// addressed to the user's email. Returns { deal } or { status, message }.
+const acceptInvitation = async (invitation, user, { io } = {}) => {
+  if (invitation.email !== user.email.toLowerCase()) {
+    return { status: 403, message: "This invitation was sent to a different email address" }
+  }
+
+  const deal = await Deal.findById(invitation.deal)
+
+  if (!deal || isTerminal(deal.status)) {
+    return { status: 409, message: "This deal is no longer open" }
+  }
+
+  if (dealMemberIds(deal).includes(user._id.toString())) {
+    return { status: 409, message: "You are already on this deal" }
+  }
+
+  if (invitation.role === "counterparty") {
+    if (deal.seller) {
+      return { status: 409, message: "This deal already has a counterparty" }
+    }
+
+    // The counterparty becomes the deal's seller, so needs a seller's rights
+    if (!(await can(user, "deal.accept"))) {
+      return { status: 403, message: "Only sellers can join a deal as its counterparty" }
+    }
+
+    deal.seller = user._id
+    deal.sellerOrganization = user.organization
+  } else {
+    // Advisors and the like work for the side that invited them; checked again
+    // in case the inviter has since left the deal or changed sides
+    const inviter = await User.findById(invitation.invitedBy)
+    const resolved = inviter
+      ? await resolveParticipantSide(deal, inviter, invitation.role, invitation.side)
+      : { message: "The person who invited you is no longer on this deal" }
+
+    if (resolved.message) {
+      return { status: 409, message: resolved.message }
+    }
+
+    deal.participants.push({
+      user: user._id,
+      role: invitation.role,
+      side: resolved.side,
+      permissions: PARTICIPANT_PERMISSIONS[invitation.role],
+      addedBy: invitation.invitedBy,
+    })
+  }
+
+  await deal.save()
+
+  invitation.status = "accepted"
+  invitation.acceptedBy = user._id
+  invitation.acceptedAt = Date.now()
+  await invitation.save()
+
+  await recordDealEvent(deal, user, "invitation.accepted", {
+    subject: invitation,
+    before: { status: "pending" },
+    after: { status: "accepted", role: invitation.role },
+  })
+
+  const notification = new Notification({
+    user: invitation.invitedBy,
+    type: "participant",
+    content: `${user.name} accepted your invitation to deal "${deal.title}"`,
+    dealId: deal._id,
+    read: false,
+  })
+
+  await notification.save()
+
+  if (io) {
+    io.to(`user:${invitation.invitedBy}`).emit("new_notification", notification)
+  }
+
+  return { deal }
+}
+
+module.exports = { sendInvitation, findInvitationByToken, acceptInvitation }
@@ -0,0 +1,91 @@
+const LoginEvent = require("../models/LoginEvent")
+
+// Failed attempts allowed before locking, per account and per IP. IPs are
+// taken from req.ip, so deployments behind a proxy must set TRUST_PROXY.
+const ACCOUNT_THRESHOLD = 5
+const IP_THRESHOLD = 20
+// First lockout lasts a minute and doubles with each further failure, up to an hour
+const BASE_LOCK_SECONDS = 60
+const MAX_LOCK_SECONDS = 60 * 60
+// Failure counters are forgotten after a day without new failures
+const COUNTER_TTL = 24 * 60 * 60
+
+const normalizeEmail = (email) => (typeof email === "string" ? email.trim().toLowerCase() : "")
+
+const counterKey = (type, id) => `login_fail:${type}:${id}`
+const lockKey = (type, id) => `login_lock:${type}:${id}`
+
+const lockDuration = (failures, threshold) =>
+  Math.min(BASE_LOCK_SECONDS * 2 ** (failures - threshold), MAX_LOCK_SECONDS)
+
+// Check whether the account or the IP is currently locked out.
+// Returns { locked, retryAfter } with retryAfter in seconds.
+const checkLoginLock = async (redisClient, { email, ip }) => {
+  if (!redisClient) {
+    return { locked: false }
+  }
+
+  const [accountTtl, ipTtl] = await Promise.all([
+    redisClient.ttl(lockKey("account", normalizeEmail(email))),
+    redisClient.ttl(lockKey("ip", ip)),
+  ])
+  const retryAfter = Math.max(accountTtl, ipTtl)
+
+  return { locked: retryAfter > 0, retryAfter }
+}
+
+// Count a failed attempt against a key, locking it once past the threshold
+const countFailure = async (redisClient, type, id, threshold) => {
+  const [[, failures]] = await redisClient
+    .multi()
+    .incr(counterKey(type, id))
+    .expire(counterKey(type, id), COUNTER_TTL)
+    .exec()
+
+  if (failures >= threshold) {
+    await redisClient.set(lockKey(type, id), failures, "EX", lockDuration(failures, threshold))
+  }
+}
+
+const recordLoginEvent = (req, { user, email, method, success, reason }) =>
+  LoginEvent.create({
+    user: user && user._id,
+    email: normalizeEmail(email || (user && user.email)),
+    method,
+    success,
+    reason,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  }).catch((err) => console.error("Error recording login event:", err.message))
+
+// Record a failed login and count it towards the account and IP lockouts
+const registerFailedLogin = async (req, { user, email, method, reason }) => {
+  const redisClient = req.app.get("redisClient")
+  const accountEmail = normalizeEmail(email || (user && user.email))
+
+  if (redisClient) {
+    await countFailure(redisClient, "account", accountEmail, ACCOUNT_THRESHOLD)
+    await countFailure(redisClient, "ip", req.ip, IP_THRESHOLD)
+  }
+
+  await recordLoginEvent(req, { user, email: accountEmail, method, success: false, reason })
+}
+
+// Record a successful login and reset the account's failure counter
+const registerSuccessfulLogin = async (req, { user, method }) => {
+  const redisClient = req.app.get("redisClient")
+
+  if (redisClient) {
+    const accountEmail = normalizeEmail(user.email)
+    await redisClient.del(counterKey("account", accountEmail), lockKey("account", accountEmail))
+  }
+
+  await recordLoginEvent(req, { user, method, success: true })
+}
+
+module.exports = {
+  checkLoginLock,
+  recordLoginEvent,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+}
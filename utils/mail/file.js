@@ -0,0 +1,24 @@
+const fs = require("fs")
+const path = require("path")
+
+// Offline driver for development and tests. Writes each message as JSON to
+// MAIL_OUTPUT_DIR. Without a directory only the recipient and subject are
+// logged: message bodies carry login and reset links, which must not end up
+// in the server logs.
+module.exports = () => {
+  const outputDir = process.env.MAIL_OUTPUT_DIR
+
+  return {
+    send: async (message) => {
+      if (!outputDir) {
+        console.log(`[mail] To: ${message.to} | Subject: ${message.subject} (set MAIL_OUTPUT_DIR to keep the message)`)
+        return
+      }
+
+      await fs.promises.mkdir(outputDir, { recursive: true })
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`
+      await fs.promises.writeFile(path.join(outputDir, fileName), JSON.stringify(message, null, 2))
+    },
+  }
+}
@@ -0,0 +1,33 @@
+const drivers = {
+  smtp: require("./smtp"),
+  file: require("./file"),
+}
+
+let transport
+
+// Pick the driver named by MAIL_TRANSPORT (defaults to the offline file driver)
+const getTransport = () => {
+  if (!transport) {
+    const driver = drivers[process.env.MAIL_TRANSPORT || "file"]
+
+    if (!driver) {
+      throw new Error(`Unknown mail transport "${process.env.MAIL_TRANSPORT}"`)
+    }
+
+    transport = driver()
+  }
+
+  return transport
+}
+
+// Send a message through the configured transport
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "Virtual Deal Room <no-reply@virtualdealroom.local>",
+    to,
+    subject,
+    text,
+    html,
+  })
+
+module.exports = { sendMail }
@@ -0,0 +1,20 @@
+const nodemailer = require("nodemailer")
+
+// SMTP driver, configured through SMTP_* environment variables
+module.exports = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number.parseInt(process.env.SMTP_PORT || "587"),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        }
+      : undefined,
+  })
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  }
+}
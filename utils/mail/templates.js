@@ -0,0 +1,45 @@
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:3000"
+
+exports.verificationEmail = (user, token) => {
+  const link = `${clientUrl()}/verify-email?token=${token}`
+
+  return {
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours.`,
+  }
+}
+
+exports.passwordResetEmail = (user, token) => {
+  const link = `${clientUrl()}/reset-password?token=${token}`
+
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nYou can choose a new password using the link below:\n\n${link}\n\nThe link expires in 1 hour. If you did not request a password reset, you can ignore this email.`,
+  }
+}
+
+exports.twoFactorEnrollmentEmail = (user, token) => {
+  const link = `${clientUrl()}/admin/2fa-setup?token=${token}`
+
+  return {
+    to: user.email,
+    subject: "Set up two-factor authentication",
+    text: `Hi ${user.name},\n\nAdmin accounts must use two-factor authentication. Open the link below to set it up:\n\n${link}\n\nThe link expires in 15 minutes. If you did not just sign in, change your password right away.`,
+  }
+}
+
+exports.dealInvitationEmail = (invitation, { deal, inviter, token, hasAccount }) => {
+  const link = `${clientUrl()}/invitations/accept?token=${token}`
+  const action = hasAccount ? "Log in and open the link below to join" : "Create an account using the link below to join"
+  const note = invitation.message ? `\n\n${inviter.name} wrote:\n${invitation.message}` : ""
+  const article = /^[aeiou]/.test(invitation.role) ? "an" : "a"
+  const role = invitation.role === "counterparty" ? "the counterparty" : `${article} ${invitation.role}`
+
+  return {
+    to: invitation.email,
+    subject: `${inviter.name} invited you to the deal "${deal.title}"`,
+    text: `Hi,\n\n${inviter.name} invited you to the deal "${deal.title}" on Virtual Deal Room as ${role}.${note}\n\n${action}:\n\n${link}\n\nThe invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+  }
+}
@@ -0,0 +1,51 @@
+// Money is stored as an integer amount in the currency's minor unit (cents
+// for USD, pence for GBP, yen for JPY) next to an ISO 4217 currency code.
+
+// Currency of deals and listings that don't name one, and the currency
+// exchange rates are quoted against
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "USD").toUpperCase()
+
+const CURRENCIES = Intl.supportedValuesOf("currency")
+
+const isCurrency = (code) => typeof code === "string" && CURRENCIES.includes(code)
+
+// Currency codes are accepted in any case; missing means the base currency
+const normalizeCurrency = (code) => (code ? String(code).toUpperCase() : BASE_CURRENCY)
+
+// Whole, non-negative minor units
+const isAmount = (value) => Number.isSafeInteger(value) && value >= 0
+
+// Number of minor units digits, e.g. 2 for EUR and 0 for JPY
+const minorDigits = (currency) =>
+  new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits
+
+// 125000, "EUR" -> "€1,250.00"
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat("en", { style: "currency", currency }).format(amount / 10 ** minorDigits(currency))
+
+// Check a price and currency from a request body. Returns { price, currency }
+// or { message } when either is invalid.
+const parsePrice = (price, currency) => {
+  const code = normalizeCurrency(currency)
+
+  if (!isCurrency(code)) {
+    return { message: `${currency} is not an ISO 4217 currency code` }
+  }
+
+  if (!isAmount(price)) {
+    return { message: `Price must be a whole number of minor units of ${code} (e.g. cents)` }
+  }
+
+  return { price, currency: code }
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  isCurrency,
+  normalizeCurrency,
+  isAmount,
+  minorDigits,
+  formatMoney,
+  parsePrice,
+}
@@ -0,0 +1,166 @@
+const crypto = require("crypto")
+const Nda = require("../models/Nda")
+const NdaAcceptance = require("../models/NdaAcceptance")
+const { can } = require("./permissions")
+const { notifyDealMembers } = require("./notifications")
+const { recordDealEvent } = require("./dealEvents")
+
+// Click-through NDAs gating a deal's documents. Once a deal has an NDA, its
+// documents can only be listed or downloaded by users who accepted the
+// current version. Each action returns { nda } or { acceptance } on success
+// or { status, message } describing why it was refused.
+
+const hashText = (text) => crypto.createHash("sha256").update(text).digest("hex")
+
+// The version everyone has to accept, if the deal has an NDA
+const currentNda = (dealId) => Nda.findOne({ deal: dealId, retiredAt: null }).sort({ version: -1 })
+
+// Returns null when the user may see the deal's documents as far as the NDA
+// goes, or { status, message, version } naming the version to accept
+const checkNdaAccepted = async (deal, user) => {
+  const nda = await currentNda(deal._id)
+
+  if (!nda || (await NdaAcceptance.exists({ nda: nda._id, user: user._id })) || (await can(user, "nda.bypass"))) {
+    return null
+  }
+
+  return {
+    status: 403,
+    message: `You must accept version ${nda.version} of this deal's NDA before accessing its documents`,
+    version: nda.version,
+  }
+}
+
+const record = (nda, user, { ip, userAgent }) =>
+  NdaAcceptance.create({
+    nda: nda._id,
+    deal: nda.deal,
+    user: user._id,
+    version: nda.version,
+    hash: nda.hash,
+    ip,
+    userAgent,
+  })
+
+// Attach an NDA to a deal, or replace its text. Unchanged text keeps the
+// current version; new text is a new version everyone has to accept again.
+// Whoever writes it accepts it.
+const setNda = async (deal, user, text, { ip, userAgent, io } = {}) => {
+  if (!(await can(user, "nda.manage", { deal }))) {
+    return { status: 403, message: "Not authorized to manage the NDA for this deal" }
+  }
+
+  if (typeof text !== "string" || !text.trim()) {
+    return { status: 400, message: "Please provide the NDA text" }
+  }
+
+  const hash = hashText(text)
+  const current = await currentNda(deal._id)
+
+  if (current && current.hash === hash) {
+    return { nda: current }
+  }
+
+  const latest = await Nda.findOne({ deal: deal._id }).sort({ version: -1 })
+
+  const nda = new Nda({
+    deal: deal._id,
+    version: latest ? latest.version + 1 : 1,
+    text,
+    hash,
+    createdBy: user._id,
+  })
+
+  await nda.save()
+
+  if (current) {
+    current.retiredAt = Date.now()
+    await current.save()
+  }
+
+  await record(nda, user, { ip, userAgent })
+
+  await recordDealEvent(deal, user, "nda.updated", {
+    subject: nda,
+    before: current ? { version: current.version, hash: current.hash } : {},
+    after: { version: nda.version, hash: nda.hash },
+  })
+
+  if (io) {
+    io.to(`deal:${deal._id}`).emit("nda_updated", { dealId: deal._id, version: nda.version, hash: nda.hash })
+  }
+
+  await notifyDealMembers(io, deal, {
+    actor: user,
+    type: "nda",
+    content: `${user.name} ${current ? "changed" : "added"} the NDA for deal "${deal.title}". Accept it to access the deal's documents`,
+  })
+
+  return { nda }
+}
+
+// Stop requiring an NDA on a deal
+const removeNda = async (deal, user, { io } = {}) => {
+  if (!(await can(user, "nda.manage", { deal }))) {
+    return { status: 403, message: "Not authorized to manage the NDA for this deal" }
+  }
+
+  const current = await currentNda(deal._id)
+
+  if (!current) {
+    return { status: 404, message: "This deal has no NDA" }
+  }
+
+  current.retiredAt = Date.now()
+  await current.save()
+
+  await recordDealEvent(deal, user, "nda.removed", {
+    subject: current,
+    before: { version: current.version, hash: current.hash },
+  })
+
+  if (io) {
+    io.to(`deal:${deal._id}`).emit("nda_updated", { dealId: deal._id, version: null, hash: null })
+  }
+
+  return { nda: current }
+}
+
+// Accept the current NDA. version is the one the user was shown, so a text
+// changed in the meantime isn't accepted unseen.
+const acceptNda = async (deal, user, { version, ip, userAgent }, { io } = {}) => {
+  if (!(await can(user, "deal.view", { deal }))) {
+    return { status: 403, message: "Not authorized to access this deal" }
+  }
+
+  const nda = await currentNda(deal._id)
+
+  if (!nda) {
+    return { status: 404, message: "This deal has no NDA" }
+  }
+
+  if (Number(version) !== nda.version) {
+    return { status: 409, message: `The NDA has changed; please review version ${nda.version}` }
+  }
+
+  const existing = await NdaAcceptance.findOne({ nda: nda._id, user: user._id })
+
+  if (existing) {
+    return { acceptance: existing }
+  }
+
+  const acceptance = await record(nda, user, { ip, userAgent })
+
+  await recordDealEvent(deal, user, "nda.accepted", {
+    subject: nda,
+    after: { version: nda.version, hash: nda.hash, ip },
+  })
+
+  if (io) {
+    io.to(`deal:${deal._id}`).emit("nda_accepted", { dealId: deal._id, user: user._id, version: nda.version })
+  }
+
+  return { acceptance }
+}
+
+module.exports = { hashText, currentNda, checkNdaAccepted, setNda, removeNda, acceptNda }
@@ -0,0 +1,35 @@
+const Notification = require("../models/Notification")
+const { dealMemberIds, idOf } = require("./dealAccess")
+
+// Notify everyone named on a deal except the user who caused the event, and
+// push each notification to its recipient's socket room
+const notifyDealMembers = async (io, deal, { actor, type, content }) => {
+  const actorId = idOf(actor)
+  const notifications = []
+
+  for (const userId of dealMemberIds(deal)) {
+    if (userId === actorId) {
+      continue
+    }
+
+    const notification = new Notification({
+      user: userId,
+      type,
+      content,
+      dealId: deal._id,
+      read: false,
+    })
+
+    await notification.save()
+
+    if (io) {
+      io.to(`user:${userId}`).emit("new_notification", notification)
+    }
+
+    notifications.push(notification)
+  }
+
+  return notifications
+}
+
+module.exports = { notifyDealMembers }
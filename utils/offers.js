@@ -0,0 +1,284 @@
+const Deal = require("../models/Deal")
+const Offer = require("../models/Offer")
+const { getDealParticipation } = require("./dealAccess")
+const { isTerminal } = require("./dealStateMachine")
+const { can } = require("./permissions")
+const { notifyDealMembers } = require("./notifications")
+const { recordDealEvent } = require("./dealEvents")
+const { isAmount, formatMoney } = require("./money")
+
+// Offers and counteroffers on a deal. Shared by the REST routes and the
+// socket handlers; each action returns { offer } on success or
+// { status, message } describing why it was refused.
+
+// Close open offers of a deal with a new status, recording each one on the
+// deal's timeline. Offers someone else closed in the meantime are skipped.
+const closeOffers = async (dealId, conditions, { status, actor = null }) => {
+  const offers = await Offer.find({ deal: dealId, status: "open", ...conditions })
+
+  for (const offer of offers) {
+    const closed = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: "open" },
+      { $set: actor ? { status, respondedBy: actor._id, respondedAt: Date.now() } : { status } },
+    )
+
+    if (closed) {
+      await recordDealEvent(dealId, actor, `offer.${status}`, {
+        subject: offer,
+        before: { status: "open" },
+        after: { status },
+      })
+    }
+  }
+}
+
+// Mark open offers whose expiry has passed as expired
+const expireOffers = (dealId) => closeOffers(dealId, { expiresAt: { $lte: new Date() } }, { status: "expired" })
+
+// Update everyone in the deal room and notify everyone else on the deal
+const broadcast = async (io, deal, user, offer, { event, content }) => {
+  await offer.populate("createdBy", "name email role")
+
+  if (io) {
+    io.to(`deal:${deal._id}`).emit(event, offer)
+  }
+
+  await notifyDealMembers(io, deal, { actor: user, type: "price", content })
+}
+
+// Checks shared by every action that can still change the price
+const checkNegotiable = async (deal, user) => {
+  if (!(await can(user, "price.update", { deal }))) {
+    return { status: 403, message: "Not authorized to make offers on this deal" }
+  }
+
+  if (deal.isFrozen() && !(await can(user, "deal.overrideFreeze"))) {
+    return { status: 423, message: "This deal is frozen while a participant's account is suspended" }
+  }
+
+  if (isTerminal(deal.status)) {
+    return { status: 409, message: "Offers cannot be made on a closed or cancelled deal" }
+  }
+
+  if (deal.priceLocked) {
+    return { status: 409, message: "The price of this deal is locked by an accepted offer" }
+  }
+
+  return null
+}
+
+// Make an offer, optionally countering an open offer from the other side
+const makeOffer = async (deal, user, { amount, terms, expiresAt, counters }, { io } = {}) => {
+  const refusal = await checkNegotiable(deal, user)
+
+  if (refusal) {
+    return refusal
+  }
+
+  const { side } = getDealParticipation(deal, user)
+
+  if (!side) {
+    return { status: 403, message: "Only the buyer or seller side can make offers" }
+  }
+
+  if (!isAmount(amount) || amount === 0) {
+    return { status: 400, message: "Amount must be a positive whole number of minor units (e.g. cents)" }
+  }
+
+  if (expiresAt && !(new Date(expiresAt) > Date.now())) {
+    return { status: 400, message: "Expiry must be a date in the future" }
+  }
+
+  await expireOffers(deal._id)
+
+  let countered = null
+
+  if (counters) {
+    countered = await Offer.findOne({ _id: counters, deal: deal._id })
+
+    if (!countered) {
+      return { status: 404, message: "Offer to counter not found" }
+    }
+
+    if (countered.status !== "open") {
+      return { status: 409, message: `Cannot counter an offer that is ${countered.status}` }
+    }
+
+    if (countered.side === side) {
+      return { status: 409, message: "You can only counter offers from the other side" }
+    }
+
+    // Only counter the offer if nobody accepted or answered it meanwhile
+    countered = await Offer.findOneAndUpdate(
+      { _id: countered._id, deal: deal._id, status: "open" },
+      { $set: { status: "countered", respondedBy: user._id, respondedAt: Date.now() } },
+      { new: true },
+    )
+
+    if (!countered) {
+      return { status: 409, message: "This offer has just been answered; it can no longer be countered" }
+    }
+  }
+
+  const offer = new Offer({
+    deal: deal._id,
+    createdBy: user._id,
+    side,
+    amount,
+    currency: deal.currency,
+    terms,
+    expiresAt,
+    counters: countered ? countered._id : undefined,
+  })
+
+  await offer.save()
+
+  await recordDealEvent(deal, user, "offer.created", {
+    subject: offer,
+    after: { amount, terms, expiresAt: offer.expiresAt, counters: offer.counters },
+  })
+
+  if (countered) {
+    await recordDealEvent(deal, user, "offer.countered", {
+      subject: countered,
+      before: { status: "open" },
+      after: { status: "countered" },
+    })
+
+    if (io) {
+      io.to(`deal:${deal._id}`).emit("offer_updated", countered)
+    }
+  }
+
+  await broadcast(io, deal, user, offer, {
+    event: "offer_created",
+    content: `${user.name} ${countered ? "countered with" : "made"} an offer of ${formatMoney(amount, deal.currency)} in deal "${deal.title}"`,
+  })
+
+  return { offer }
+}
+
+const RESPONSES = {
+  accept: { status: "accepted", bySide: "other", label: "accepted" },
+  reject: { status: "rejected", bySide: "other", label: "rejected" },
+  withdraw: { status: "withdrawn", bySide: "same", label: "withdrew" },
+}
+
+// Accept, reject or withdraw an open offer. Accepting sets and locks the
+// deal price; the deal is saved here. The offer (and, when accepting, the
+// deal price) is only changed if nobody else got there first.
+const respondToOffer = async (deal, user, offerId, action, { io } = {}) => {
+  const response = RESPONSES[action]
+
+  if (!response) {
+    return { status: 400, message: `Action must be one of: ${Object.keys(RESPONSES).join(", ")}` }
+  }
+
+  const refusal = await checkNegotiable(deal, user)
+
+  if (refusal) {
+    return refusal
+  }
+
+  await expireOffers(deal._id)
+
+  let offer = await Offer.findOne({ _id: offerId, deal: deal._id })
+
+  if (!offer) {
+    return { status: 404, message: "Offer not found" }
+  }
+
+  if (offer.status !== "open") {
+    return { status: 409, message: `This offer is already ${offer.status}` }
+  }
+
+  const { side } = getDealParticipation(deal, user)
+  const isOtherSide = Boolean(side) && side !== offer.side
+
+  if (response.bySide === "other" && !isOtherSide) {
+    return { status: 403, message: `Only the other side can ${action} this offer` }
+  }
+
+  if (response.bySide === "same" && side !== offer.side) {
+    return { status: 403, message: "Only the side that made this offer can withdraw it" }
+  }
+
+  // Only one offer can be accepted, even by concurrent requests
+  if (action === "accept") {
+    const locked = await Deal.updateOne({ _id: deal._id, priceLocked: { $ne: true } }, { $set: { priceLocked: true } })
+
+    if (locked.modifiedCount === 0) {
+      return { status: 409, message: "The price of this deal is locked by an accepted offer" }
+    }
+  }
+
+  const updated = await Offer.findOneAndUpdate(
+    { _id: offer._id, deal: deal._id, status: "open" },
+    { $set: { status: response.status, respondedBy: user._id, respondedAt: Date.now() } },
+    { new: true },
+  )
+
+  if (!updated) {
+    if (action === "accept") {
+      await Deal.updateOne({ _id: deal._id }, { $set: { priceLocked: false } })
+    }
+
+    const current = await Offer.findById(offer._id)
+
+    return { status: 409, message: `This offer is already ${current ? current.status : "gone"}` }
+  }
+
+  offer = updated
+
+  await recordDealEvent(deal, user, `offer.${response.status}`, {
+    subject: offer,
+    before: { status: "open" },
+    after: { status: offer.status },
+  })
+
+  if (action === "accept") {
+    const before = { price: deal.price, priceLocked: deal.priceLocked }
+
+    deal.price = offer.amount
+    deal.priceLocked = true
+    deal.acceptedOffer = offer._id
+    deal.priceHistory.unshift({
+      price: offer.amount,
+      currency: offer.currency,
+      user: user._id,
+      timestamp: new Date(),
+    })
+
+    await deal.save()
+
+    await recordDealEvent(deal, user, "price.locked", {
+      subject: offer,
+      before,
+      after: { price: deal.price, priceLocked: deal.priceLocked },
+    })
+
+    // Nothing else can be accepted once the price is locked
+    await closeOffers(deal._id, {}, { status: "rejected", actor: user })
+
+    if (io) {
+      io.to(`deal:${deal._id}`).emit("price_updated", {
+        deal,
+        priceUpdate: {
+          price: offer.amount,
+          currency: offer.currency,
+          user: { _id: user._id, name: user.name, role: user.role },
+          timestamp: new Date(),
+        },
+      })
+    }
+  }
+
+  await broadcast(io, deal, user, offer, {
+    event: "offer_updated",
+    content: `${user.name} ${response.label} the offer of ${formatMoney(offer.amount, offer.currency)} in deal "${deal.title}"`,
+  })
+
+  return { offer }
+}
+
+module.exports = { expireOffers, makeOffer, respondToOffer }
@@ -0,0 +1,211 @@
+const crypto = require("crypto")
+const { Issuer, generators } = require("openid-client")
+const User = require("../models/User")
+
+// Login attempts must be completed within 10 minutes
+const STATE_TTL = 10 * 60
+
+const stateKey = (state) => `oidc:state:${state}`
+
+// The state is also kept in a cookie signed with JWT_SECRET, so a login can
+// only be completed by the browser that started it. Providers that post the
+// callback back cross-site need SameSite=None, which requires HTTPS.
+const STATE_COOKIE = "oidc_state"
+
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  path: "/api/auth/oidc",
+})
+
+const signState = (state) => `${state}.${crypto.createHmac("sha256", process.env.JWT_SECRET).update(state).digest("hex")}`
+
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=")
+
+    if (key === name) {
+      return decodeURIComponent(value.join("="))
+    }
+  }
+
+  return null
+}
+
+const setStateCookie = (res, state) =>
+  res.cookie(STATE_COOKIE, signState(state), { ...stateCookieOptions(), maxAge: STATE_TTL * 1000 })
+
+// Check the callback's state against the cookie set when the login started.
+// The cookie is cleared either way.
+const checkStateCookie = (req, res, state) => {
+  const cookie = readCookie(req, STATE_COOKIE)
+
+  res.clearCookie(STATE_COOKIE, stateCookieOptions())
+
+  if (!cookie || typeof state !== "string") {
+    return false
+  }
+
+  const expected = signState(state)
+
+  return cookie.length === expected.length && crypto.timingSafeEqual(Buffer.from(cookie), Buffer.from(expected))
+}
+
+let clientPromise
+
+const isOidcConfigured = () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID)
+
+// Discover the provider once and reuse the client
+const getClient = () => {
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(process.env.OIDC_ISSUER)
+      .then(
+        (issuer) =>
+          new issuer.Client({
+            client_id: process.env.OIDC_CLIENT_ID,
+            client_secret: process.env.OIDC_CLIENT_SECRET,
+            redirect_uris: [process.env.OIDC_REDIRECT_URI],
+            response_types: ["code"],
+            token_endpoint_auth_method: process.env.OIDC_CLIENT_SECRET ? "client_secret_basic" : "none",
+          }),
+      )
+      .catch((err) => {
+        // Allow discovery to be retried on the next login
+        clientPromise = null
+        throw err
+      })
+  }
+
+  return clientPromise
+}
+
+// Start an authorization-code + PKCE login. The verifier and nonce are kept in
+// Redis under the state value until the callback comes back. Returns the URL
+// and the state, which the caller puts in the browser's state cookie.
+const createAuthorizationUrl = async (redisClient) => {
+  const client = await getClient()
+
+  const codeVerifier = generators.codeVerifier()
+  const state = generators.state()
+  const nonce = generators.nonce()
+
+  await redisClient.set(stateKey(state), JSON.stringify({ codeVerifier, nonce }), "EX", STATE_TTL)
+
+  const authorizationUrl = client.authorizationUrl({
+    scope: process.env.OIDC_SCOPES || "openid email profile",
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+    state,
+    nonce,
+  })
+
+  return { authorizationUrl, state }
+}
+
+// Exchange the authorization code and return the ID token claims, or null if
+// the state is unknown or was already used
+const handleCallback = async (redisClient, { code, state, iss }) => {
+  if (!state) {
+    return null
+  }
+
+  const raw = await redisClient.get(stateKey(state))
+
+  if (!raw) {
+    return null
+  }
+
+  // A state value can only be used once
+  await redisClient.del(stateKey(state))
+
+  const { codeVerifier, nonce } = JSON.parse(raw)
+  const client = await getClient()
+
+  const tokenSet = await client.callback(
+    process.env.OIDC_REDIRECT_URI,
+    { code, state, iss },
+    { code_verifier: codeVerifier, state, nonce },
+  )
+
+  return { ...tokenSet.claims(), issuer: client.issuer.metadata.issuer }
+}
+
+// Map the configured claim to a platform role. OIDC_ROLE_MAPPING is a JSON
+// object from claim values to roles, e.g. {"acquisitions":"buyer","sales":"seller"}.
+// Admin access can't be granted through SSO.
+const mapRole = (claims) => {
+  const claim = claims[process.env.OIDC_ROLE_CLAIM || "role"]
+  const mapping = JSON.parse(process.env.OIDC_ROLE_MAPPING || "{}")
+  const values = Array.isArray(claim) ? claim : [claim]
+
+  for (const value of values) {
+    const role = mapping[value]
+
+    if (role === "buyer" || role === "seller") {
+      return role
+    }
+  }
+
+  return null
+}
+
+// Find the user for a set of claims: the account already linked to the
+// provider's subject, else an account with the same email (only when the
+// provider says the address is verified), else a new one. The role claim is
+// only applied to new accounts unless OIDC_SYNC_ROLE=true.
+const findOrProvisionUser = async (claims) => {
+  if (!claims.email) {
+    throw new Error("Identity provider did not return an email address")
+  }
+
+  const email = claims.email.toLowerCase()
+  const role = mapRole(claims)
+
+  let user = await User.findOne({ "sso.issuer": claims.issuer, "sso.subject": claims.sub })
+
+  if (!user) {
+    user = await User.findOne({ email: { $in: [claims.email, email] } })
+
+    if (user) {
+      // Don't link accounts through addresses the provider hasn't verified
+      if (claims.email_verified !== true) {
+        throw new Error("Identity provider email address is not verified")
+      }
+
+      if (user.sso && user.sso.subject && (user.sso.issuer !== claims.issuer || user.sso.subject !== claims.sub)) {
+        throw new Error("This account is linked to a different single sign-on identity")
+      }
+    }
+  }
+
+  if (!user) {
+    user = new User({
+      name: (claims.name || email.split("@")[0]).slice(0, 50),
+      email,
+      // SSO users sign in through the provider; they can set a password via reset
+      password: crypto.randomBytes(32).toString("hex"),
+      role: role || (process.env.OIDC_DEFAULT_ROLE === "seller" ? "seller" : "buyer"),
+    })
+  } else if (role && user.role !== "admin" && process.env.OIDC_SYNC_ROLE === "true") {
+    user.role = role
+  }
+
+  if (claims.email_verified === true && user.email.toLowerCase() === email) {
+    user.emailVerified = true
+  }
+
+  user.sso = { issuer: claims.issuer, subject: claims.sub }
+  await user.save()
+
+  return user
+}
+
+module.exports = {
+  isOidcConfigured,
+  createAuthorizationUrl,
+  setStateCookie,
+  checkStateCookie,
+  handleCallback,
+  findOrProvisionUser,
+}
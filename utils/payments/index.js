@@ -0,0 +1,34 @@
+const drivers = {
+  mock: require("./mock"),
+}
+
+// A payment provider moves money between the parties and the escrow. Each
+// driver is a factory returning an object with:
+//
+//   charge({ amount, currency, reference, payer })    take a deposit from the buyer
+//   payout({ amount, currency, reference, payee })    pay released funds to the seller
+//   refund({ amount, currency, reference, payee })    return funds to the buyer
+//
+// Each resolves to { id, status } where status is "succeeded" or "failed"
+// (failures may carry a message), and may throw when the provider can't be
+// reached.
+
+let provider
+
+// Pick the driver named by PAYMENT_PROVIDER (defaults to the offline mock driver)
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || "mock"
+    const driver = drivers[name]
+
+    if (!driver) {
+      throw new Error(`Unknown payment provider "${name}"`)
+    }
+
+    provider = { name, ...driver() }
+  }
+
+  return provider
+}
+
+module.exports = { getProvider }
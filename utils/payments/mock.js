@@ -0,0 +1,30 @@
+const crypto = require("crypto")
+
+// Offline driver for development and tests. Every payment succeeds, except
+// amounts listed in MOCK_PAYMENT_DECLINE_AMOUNTS (comma separated minor units,
+// e.g. 99900 for 999.00), which are declined so failure handling can be tried
+// out.
+module.exports = () => {
+  const declined = (process.env.MOCK_PAYMENT_DECLINE_AMOUNTS || "")
+    .split(",")
+    .filter(Boolean)
+    .map(Number)
+
+  const pay = (kind) => async ({ amount, currency, reference }) => {
+    const id = `mock_${kind}_${crypto.randomBytes(8).toString("hex")}`
+
+    if (declined.includes(amount)) {
+      console.log(`[payments] ${kind} of ${amount} ${currency} for ${reference} declined (${id})`)
+      return { id, status: "failed", message: "Payment declined by the mock provider" }
+    }
+
+    console.log(`[payments] ${kind} of ${amount} ${currency} for ${reference} succeeded (${id})`)
+    return { id, status: "succeeded" }
+  }
+
+  return {
+    charge: pay("charge"),
+    payout: pay("payout"),
+    refund: pay("refund"),
+  }
+}
@@ -0,0 +1,246 @@
+const Role = require("../models/Role")
+const { getDealParticipation } = require("./dealAccess")
+
+// Every permission the policy engine knows about
+const PERMISSIONS = [
+  // Deals
+  "deal.create",
+  "deal.createFromListing",
+  "deal.browseAvailable",
+  "deal.accept",
+  "deal.view",
+  "deal.viewAll",
+  "deal.update",
+  "deal.updateStatus",
+  "deal.overrideFreeze",
+  "deal.forceTransition",
+  "deal.manageParticipants",
+  "deal.assignAnySide",
+  "deal.delete",
+  // Messages
+  "message.view",
+  "message.send",
+  "message.markRead",
+  // Prices
+  "price.view",
+  "price.update",
+  // Documents
+  "document.view",
+  "document.upload",
+  "document.download",
+  "document.delete",
+  "document.deleteAny",
+  // Agreements
+  "agreement.manage",
+  // Tasks
+  "task.view",
+  "task.manage",
+  // NDAs
+  "nda.manage",
+  "nda.bypass",
+  // Escrow
+  "escrow.view",
+  "escrow.manage",
+  "escrow.override",
+  // Listings
+  "listing.manage",
+  "listing.manageAny",
+  // Organizations
+  "organization.manageMembers",
+  "organization.manageApiKeys",
+  // Administration
+  "admin.viewStats",
+  "user.view",
+  "user.viewLogins",
+  "user.manageStatus",
+  "user.revokeTokens",
+  "apiKey.raiseRateLimit",
+  "role.manage",
+  "exchangeRate.manage",
+  "customField.manage",
+]
+
+// Permissions granted everywhere by the built-in platform roles
+const ROLE_PERMISSIONS = {
+  buyer: ["deal.create", "deal.createFromListing"],
+  seller: ["deal.create", "deal.browseAvailable", "deal.accept", "listing.manage"],
+  admin: ["*"],
+}
+
+const PARTY_PERMISSIONS = [
+  "deal.view",
+  "deal.update",
+  "deal.updateStatus",
+  "message.view",
+  "message.send",
+  "message.markRead",
+  "price.view",
+  "price.update",
+  "document.view",
+  "document.upload",
+  "document.download",
+  "document.delete",
+  "task.view",
+  "task.manage",
+  "escrow.view",
+  "escrow.manage",
+]
+
+const READ_ONLY_PERMISSIONS = [
+  "deal.view",
+  "message.view",
+  "price.view",
+  "document.view",
+  "document.download",
+  "task.view",
+  "escrow.view",
+]
+
+const ADVISOR_PERMISSIONS = [
+  ...READ_ONLY_PERMISSIONS,
+  "message.send",
+  "message.markRead",
+  "document.upload",
+  "document.delete",
+]
+
+// Permissions granted on a single deal by the user's part in it. Roles below
+// orgViewer are the ones people can be given on a deal's participants list;
+// these are their defaults and can be narrowed per participant. The NDA
+// protects the seller's data room, so only the seller side manages it.
+const PARTICIPANT_PERMISSIONS = {
+  buyer: [...PARTY_PERMISSIONS, "deal.manageParticipants", "agreement.manage"],
+  seller: [...PARTY_PERMISSIONS, "deal.manageParticipants", "nda.manage", "agreement.manage"],
+  orgMember: PARTY_PERMISSIONS,
+  orgViewer: READ_ONLY_PERMISSIONS,
+  "co-buyer": PARTY_PERMISSIONS,
+  "co-seller": PARTY_PERMISSIONS,
+  advisor: ADVISOR_PERMISSIONS,
+  lawyer: ADVISOR_PERMISSIONS,
+  lender: [...READ_ONLY_PERMISSIONS, "message.send", "message.markRead"],
+  observer: READ_ONLY_PERMISSIONS,
+}
+
+// Roles that can be given on a deal's participants list
+const DEAL_PARTICIPANT_ROLES = ["co-buyer", "co-seller", "advisor", "lawyer", "lender", "observer"]
+
+// Co-buyers and co-sellers always work for their side
+const PARTICIPANT_ROLE_SIDES = { "co-buyer": "buyer", "co-seller": "seller" }
+
+// Permissions that make sense within a single deal
+const DEAL_PERMISSIONS = [...new Set(Object.values(PARTICIPANT_PERMISSIONS).flat())]
+
+// Permissions granted on the user's own organization by their role in it
+const ORGANIZATION_PERMISSIONS = {
+  owner: ["organization.manageMembers", "organization.manageApiKeys"],
+  member: [],
+  viewer: [],
+}
+
+// "*" grants everything and "deal.*" grants every deal permission
+const grants = (granted, permission) =>
+  granted === "*" || granted === permission || (granted.endsWith(".*") && permission.startsWith(granted.slice(0, -1)))
+
+const isValidPermission = (permission) => PERMISSIONS.some((known) => grants(permission, known))
+
+// Custom roles change rarely, so keep them in memory for a short while
+const ROLE_CACHE_TTL = 60 * 1000
+let roleCache = null
+
+const loadCustomRoles = async () => {
+  if (!roleCache || roleCache.loadedAt < Date.now() - ROLE_CACHE_TTL) {
+    const roles = await Role.find()
+    roleCache = { loadedAt: Date.now(), roles: new Map(roles.map((role) => [role._id.toString(), role])) }
+  }
+
+  return roleCache.roles
+}
+
+// Call after creating, changing or deleting a custom role
+const clearRoleCache = () => {
+  roleCache = null
+}
+
+// Permissions a user holds everywhere, from their built-in and custom roles
+const getGlobalPermissions = async (user) => {
+  const permissions = [...(ROLE_PERMISSIONS[user.role] || [])]
+
+  if (user.customRoles && user.customRoles.length > 0) {
+    const roles = await loadCustomRoles()
+
+    user.customRoles.forEach((roleId) => {
+      const role = roles.get((roleId._id || roleId).toString())
+
+      if (role) {
+        permissions.push(...role.permissions)
+      }
+    })
+  }
+
+  return permissions
+}
+
+// Decide whether a user holds a permission, optionally in the context of a
+// deal or an organization
+const can = async (user, permission, { deal, organization } = {}) => {
+  const permissions = await getGlobalPermissions(user)
+
+  if (deal) {
+    const { participantRole, permissions: participantPermissions } = getDealParticipation(deal, user)
+
+    if (participantPermissions) {
+      permissions.push(...participantPermissions)
+    } else if (participantRole) {
+      permissions.push(...PARTICIPANT_PERMISSIONS[participantRole])
+    }
+  }
+
+  if (organization && user.organization && user.organization.toString() === organization.toString()) {
+    permissions.push(...(ORGANIZATION_PERMISSIONS[user.organizationRole] || []))
+  }
+
+  return permissions.some((granted) => grants(granted, permission))
+}
+
+// Work out the side someone joins a deal on when actor adds or invites them
+// with a role. People join the actor's own side; co-buyers and co-sellers can
+// only be added by their side. Only holders of deal.assignAnySide may place
+// people on the other side. Returns { side } or { message }.
+const resolveParticipantSide = async (deal, actor, role, side) => {
+  const actorSide = getDealParticipation(deal, actor).side || undefined
+  const roleSide = PARTICIPANT_ROLE_SIDES[role]
+
+  if (roleSide && side && side !== roleSide) {
+    return { message: `A ${role} is always on the ${roleSide} side` }
+  }
+
+  const resolved = roleSide || side || actorSide
+
+  if (resolved && !["buyer", "seller"].includes(resolved)) {
+    return { message: "Side must be buyer or seller" }
+  }
+
+  if (resolved !== actorSide && !(await can(actor, "deal.assignAnySide"))) {
+    return {
+      message: actorSide
+        ? `You can only add people to the ${actorSide} side of this deal`
+        : "You can only add people who are on no side of this deal",
+    }
+  }
+
+  return { side: resolved }
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  PARTICIPANT_PERMISSIONS,
+  DEAL_PARTICIPANT_ROLES,
+  PARTICIPANT_ROLE_SIDES,
+  DEAL_PERMISSIONS,
+  ORGANIZATION_PERMISSIONS,
+  isValidPermission,
+  clearRoleCache,
+  can,
+  resolveParticipantSide,
+}
@@ -0,0 +1,64 @@
+// Redis-backed job scheduler. Jobs live in one sorted set scored by the time
+// they are due, as "<name>:<key>" (e.g. "deal.expire:<dealId>"), so
+// scheduling the same job again moves it instead of adding a second one. Every
+// server process polls the set; removing a job claims it, so each job runs
+// once. Handlers should check that their job still applies when it runs.
+
+const JOBS_KEY = "scheduler:jobs"
+const RETRY_DELAY = 5 * 60 * 1000
+const BATCH_SIZE = 100
+
+const handlers = {}
+
+// Register the function that runs jobs with this name: handler(key, context)
+const defineJob = (name, handler) => {
+  handlers[name] = handler
+}
+
+const scheduleJob = (redisClient, name, key, runAt) =>
+  redisClient.zadd(JOBS_KEY, new Date(runAt).getTime(), `${name}:${key}`)
+
+const cancelJob = (redisClient, name, key) => redisClient.zrem(JOBS_KEY, `${name}:${key}`)
+
+// Run every job that is due. Failed jobs are tried again a few minutes later.
+const runDueJobs = async (redisClient, context) => {
+  const due = await redisClient.zrangebyscore(JOBS_KEY, 0, Date.now(), "LIMIT", 0, BATCH_SIZE)
+
+  for (const job of due) {
+    // Another process got to it first
+    if (!(await redisClient.zrem(JOBS_KEY, job))) {
+      continue
+    }
+
+    const separator = job.indexOf(":")
+    const name = job.slice(0, separator)
+    const handler = handlers[name]
+
+    if (!handler) {
+      console.error(`No handler for scheduled job "${job}"`)
+      continue
+    }
+
+    try {
+      await handler(job.slice(separator + 1), context)
+    } catch (err) {
+      console.error(`Error running scheduled job "${job}":`, err.message)
+      await redisClient.zadd(JOBS_KEY, Date.now() + RETRY_DELAY, job)
+    }
+  }
+}
+
+// Poll for due jobs every SCHEDULER_POLL_SECONDS (default 30)
+const startScheduler = (redisClient, context) => {
+  const seconds = Number(process.env.SCHEDULER_POLL_SECONDS) || 30
+
+  const run = () =>
+    runDueJobs(redisClient, context).catch((err) => {
+      console.error("Error running scheduled jobs:", err.message)
+    })
+
+  run()
+  return setInterval(run, seconds * 1000)
+}
+
+module.exports = { defineJob, scheduleJob, cancelJob, runDueJobs, startScheduler }
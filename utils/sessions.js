@@ -0,0 +1,108 @@
+// Device sessions. Each login starts a session whose id is the id of its
+// refresh token family, so revoking a session also kills its refresh tokens
+// and every access token carrying that session id.
+const sessionKey = (id) => `session:${id}`
+const userSessionsKey = (userId) => `user:${userId}:sessions`
+
+const deviceFromRequest = (req) => ({
+  userAgent: req.get("user-agent") || "",
+  ip: req.ip,
+})
+
+const createSession = async (redisClient, { id, userId, isAdmin, userAgent, ip, ttl }) => {
+  const now = new Date().toISOString()
+
+  await redisClient
+    .multi()
+    .hset(sessionKey(id), {
+      id,
+      user: userId.toString(),
+      isAdmin: isAdmin ? "1" : "0",
+      userAgent: userAgent || "",
+      ip: ip || "",
+      createdAt: now,
+      lastSeenAt: now,
+    })
+    .expire(sessionKey(id), ttl)
+    .sadd(userSessionsKey(userId), id)
+    .expire(userSessionsKey(userId), ttl)
+    .exec()
+}
+
+// Record activity on a session; returns false if the session no longer exists
+const touchSession = async (redisClient, id, { ip, ttl } = {}) => {
+  const userId = await redisClient.hget(sessionKey(id), "user")
+
+  if (!userId) {
+    return false
+  }
+
+  const update = { lastSeenAt: new Date().toISOString() }
+
+  if (ip) {
+    update.ip = ip
+  }
+
+  const pipeline = redisClient.multi().hset(sessionKey(id), update)
+
+  // Refreshing extends the session as long as its new refresh token lives
+  if (ttl) {
+    pipeline.expire(sessionKey(id), ttl).expire(userSessionsKey(userId), ttl)
+  }
+
+  await pipeline.exec()
+
+  return true
+}
+
+const getSession = async (redisClient, id) => {
+  const session = await redisClient.hgetall(sessionKey(id))
+  return session && session.id ? session : null
+}
+
+const deleteSession = async (redisClient, id) => {
+  const session = await getSession(redisClient, id)
+
+  await redisClient.del(sessionKey(id))
+
+  if (session) {
+    await redisClient.srem(userSessionsKey(session.user), id)
+  }
+}
+
+const listSessionIds = (redisClient, userId) => redisClient.smembers(userSessionsKey(userId))
+
+// All live sessions of a user, most recently used first. Ids whose session
+// has expired are cleaned up along the way.
+const listSessions = async (redisClient, userId) => {
+  const ids = await listSessionIds(redisClient, userId)
+  const sessions = []
+
+  for (const id of ids) {
+    const session = await getSession(redisClient, id)
+
+    if (session) {
+      sessions.push({
+        id: session.id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+      })
+    } else {
+      await redisClient.srem(userSessionsKey(userId), id)
+    }
+  }
+
+  return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+}
+
+module.exports = {
+  deviceFromRequest,
+  createSession,
+  touchSession,
+  getSession,
+  deleteSession,
+  listSessionIds,
+  listSessions,
+}
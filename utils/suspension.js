@@ -0,0 +1,48 @@
+const Deal = require("../models/Deal")
+const { revokeAllForUser } = require("./tokens")
+const { ACTIVE_STATUSES } = require("./dealStateMachine")
+const { recordDealEvent } = require("./dealEvents")
+
+// Suspend a user: record the change, revoke their tokens, drop their live
+// sockets and freeze their open deals
+const suspendUser = async (user, { admin, reason, io, redisClient }) => {
+  user.status = "suspended"
+  user.statusHistory.push({ status: "suspended", reason, changedBy: admin._id })
+  await user.save()
+
+  await revokeAllForUser(redisClient, user._id)
+
+  if (io) {
+    io.in(`user:${user._id}`).disconnectSockets(true)
+  }
+
+  // Deals that are still being worked on get frozen while a participant is suspended
+  const deals = await Deal.find({
+    $or: [{ buyer: user._id }, { seller: user._id }, { "participants.user": user._id }],
+    status: { $in: ACTIVE_STATUSES },
+    frozenFor: { $ne: user._id },
+  }).select("_id")
+
+  await Deal.updateMany({ _id: { $in: deals.map((deal) => deal._id) } }, { $addToSet: { frozenFor: user._id } })
+
+  for (const deal of deals) {
+    await recordDealEvent(deal, admin, "deal.frozen", { subject: user, after: { reason } })
+  }
+}
+
+// Reinstate a user and unfreeze the deals their suspension froze
+const unsuspendUser = async (user, { admin, reason }) => {
+  user.status = "active"
+  user.statusHistory.push({ status: "active", reason, changedBy: admin._id })
+  await user.save()
+
+  const deals = await Deal.find({ frozenFor: user._id }).select("_id")
+
+  await Deal.updateMany({ _id: { $in: deals.map((deal) => deal._id) } }, { $pull: { frozenFor: user._id } })
+
+  for (const deal of deals) {
+    await recordDealEvent(deal, admin, "deal.unfrozen", { subject: user, after: { reason } })
+  }
+}
+
+module.exports = { suspendUser, unsuspendUser }
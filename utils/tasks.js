@@ -0,0 +1,122 @@
+const mongoose = require("mongoose")
+const Deal = require("../models/Deal")
+const Task = require("../models/Task")
+const Notification = require("../models/Notification")
+const { isTerminal } = require("./dealStateMachine")
+const { notifyDealMembers } = require("./notifications")
+
+// Check that dependencies belong to the same deal and don't form a cycle.
+// Returns an error message, or null when they are valid.
+const checkDependencies = async (dealId, taskId, dependencyIds) => {
+  if (!Array.isArray(dependencyIds) || !dependencyIds.every((id) => mongoose.isValidObjectId(id))) {
+    return "Dependencies must be a list of task ids"
+  }
+
+  const ids = dependencyIds.map((id) => id.toString())
+
+  if (taskId && ids.includes(taskId.toString())) {
+    return "A task cannot depend on itself"
+  }
+
+  const tasks = await Task.find({ deal: dealId }).select("dependencies")
+
+  if (!ids.every((id) => tasks.some((task) => task._id.toString() === id))) {
+    return "Dependencies must be tasks of the same deal"
+  }
+
+  if (!taskId) {
+    return null
+  }
+
+  // Walk down from the new dependencies; reaching the task itself means a cycle
+  const dependenciesOf = new Map(tasks.map((task) => [task._id.toString(), task.dependencies.map(String)]))
+  const seen = new Set()
+  const queue = [...ids]
+
+  while (queue.length > 0) {
+    const id = queue.shift()
+
+    if (id === taskId.toString()) {
+      return "Dependencies cannot form a cycle"
+    }
+
+    if (!seen.has(id)) {
+      seen.add(id)
+      queue.push(...(dependenciesOf.get(id) || []))
+    }
+  }
+
+  return null
+}
+
+// Dependencies of a task that are not finished yet
+const unfinishedDependencies = (task) =>
+  Task.find({ _id: { $in: task.dependencies }, status: { $nin: ["done", "cancelled"] } }).select("title")
+
+// Send a reminder for every open task past its due date that hasn't had one
+// for that due date yet. Claiming each task atomically keeps reminders single
+// when several servers run this.
+const sendOverdueReminders = async (io) => {
+  const now = new Date()
+
+  for (;;) {
+    const task = await Task.findOneAndUpdate(
+      {
+        status: { $in: ["todo", "in-progress"] },
+        dueDate: { $lte: now },
+        $or: [{ overdueNotifiedAt: null }, { $expr: { $lt: ["$overdueNotifiedAt", "$dueDate"] } }],
+      },
+      { $set: { overdueNotifiedAt: now } },
+      { new: true },
+    )
+
+    if (!task) {
+      return
+    }
+
+    const deal = await Deal.findById(task.deal)
+
+    if (!deal || isTerminal(deal.status)) {
+      continue
+    }
+
+    const content = `Task "${task.title}" in deal "${deal.title}" is overdue`
+
+    if (task.assignee) {
+      const notification = new Notification({
+        user: task.assignee,
+        type: "task",
+        content,
+        dealId: deal._id,
+        read: false,
+      })
+
+      await notification.save()
+
+      if (io) {
+        io.to(`user:${task.assignee}`).emit("new_notification", notification)
+      }
+    } else {
+      await notifyDealMembers(io, deal, { type: "task", content })
+    }
+
+    if (io) {
+      io.to(`deal:${deal._id}`).emit("task_overdue", task)
+    }
+  }
+}
+
+// Check for overdue tasks every TASK_REMINDER_INTERVAL_MINUTES (default 15)
+const startTaskReminders = (io) => {
+  const minutes = Number(process.env.TASK_REMINDER_INTERVAL_MINUTES) || 15
+
+  const run = () =>
+    sendOverdueReminders(io).catch((err) => {
+      console.error("Error sending task reminders:", err.message)
+    })
+
+  run()
+  return setInterval(run, minutes * 60 * 1000)
+}
+
+module.exports = { checkDependencies, unfinishedDependencies, sendOverdueReminders, startTaskReminders }
@@ -0,0 +1,317 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const { createSession, touchSession, deleteSession, listSessionIds } = require("./sessions")
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m"
+const CHALLENGE_TOKEN_EXPIRES_IN = "5m"
+const REFRESH_TOKEN_TTL = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30") * 24 * 60 * 60 // seconds
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const refreshKey = (hash) => `refresh:${hash}`
+const familyKey = (family) => `refresh_family:${family}`
+
+// Sign a short-lived access token. The token version lets us invalidate
+// every outstanding access token for a user by bumping it on the User, and
+// the session id ties the token to the device session it was issued for.
+const signAccessToken = (user, { isAdmin = false, sessionId } = {}) => {
+  const payload = { id: user._id, tv: user.tokenVersion || 0 }
+
+  if (sessionId) {
+    payload.sid = sessionId
+  }
+
+  if (isAdmin) {
+    payload.isAdmin = true
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN })
+}
+
+// Verify an access token and load its user, rejecting tokens minted before
+// the user's last revocation or whose session was revoked.
+// Returns { user, decoded } or null.
+const verifyAccessToken = async (token, redisClient) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+  // Challenge tokens and other purpose-bound tokens are not access tokens
+  if (decoded.purpose) {
+    return null
+  }
+
+  if (decoded.sid && redisClient && !(await touchSession(redisClient, decoded.sid))) {
+    return null
+  }
+
+  const user = await User.findById(decoded.id).select("-password")
+
+  if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return null
+  }
+
+  return { user, decoded }
+}
+
+// Sign the short-lived token returned by login while a second factor is pending
+const signChallengeToken = (user, { isAdmin = false } = {}) =>
+  jwt.sign({ id: user._id, isAdmin, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+  })
+
+// Returns the decoded challenge token, or null if it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === "2fa" ? decoded : null
+  } catch (err) {
+    return null
+  }
+}
+
+// Sign an email verification token. It is bound to the address it was sent to,
+// so it stops working if the user changes their email.
+const signEmailVerificationToken = (user) =>
+  jwt.sign({ id: user._id, email: user.email, purpose: "verify-email" }, process.env.JWT_SECRET, {
+    expiresIn: "24h",
+  })
+
+// Returns the decoded verification token, or null if it is invalid or expired
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === "verify-email" ? decoded : null
+  } catch (err) {
+    return null
+  }
+}
+
+// Password reset tokens are signed with the current password hash as part of
+// the key, so each one becomes invalid as soon as the password changes.
+const resetSecret = (user) => `${process.env.JWT_SECRET}${user.password}`
+
+const signPasswordResetToken = (user) =>
+  jwt.sign({ id: user._id, purpose: "reset-password" }, resetSecret(user), { expiresIn: "1h" })
+
+// Verify a reset token and return its user (loaded with +password), or null
+const verifyPasswordResetToken = async (token) => {
+  const unverified = jwt.decode(token)
+
+  if (!unverified || unverified.purpose !== "reset-password") {
+    return null
+  }
+
+  const user = await User.findById(unverified.id).select("+password")
+
+  if (!user) {
+    return null
+  }
+
+  try {
+    jwt.verify(token, resetSecret(user))
+    return user
+  } catch (err) {
+    return null
+  }
+}
+
+// Admins who haven't set up two-factor authentication get their TOTP secret
+// through a link emailed to them. The link is signed with the password hash
+// and any pending secret, so it stops working once used or after a password
+// change.
+const enrollmentSecret = (user) => `${process.env.JWT_SECRET}${user.password}${user.twoFactorSecret || ""}`
+
+const signTwoFactorEnrollmentToken = (user) =>
+  jwt.sign({ id: user._id, purpose: "2fa-enroll" }, enrollmentSecret(user), { expiresIn: "15m" })
+
+// Verify an enrollment token and return its user (loaded with +password and
+// +twoFactorSecret), or null
+const verifyTwoFactorEnrollmentToken = async (token) => {
+  const unverified = jwt.decode(token)
+
+  if (!unverified || unverified.purpose !== "2fa-enroll") {
+    return null
+  }
+
+  const user = await User.findById(unverified.id).select("+password +twoFactorSecret")
+
+  if (!user) {
+    return null
+  }
+
+  try {
+    jwt.verify(token, enrollmentSecret(user))
+    return user
+  } catch (err) {
+    return null
+  }
+}
+
+// Deal invitation tokens carry the invitation id and a nonce that changes on
+// every resend, so only the latest link for an invitation works
+const INVITE_TOKEN_EXPIRES_IN = `${Number(process.env.INVITE_TTL_DAYS) || 7}d`
+
+const signInviteToken = (invitation) =>
+  jwt.sign({ invitation: invitation._id, nonce: invitation.nonce, purpose: "deal-invite" }, process.env.JWT_SECRET, {
+    expiresIn: INVITE_TOKEN_EXPIRES_IN,
+  })
+
+// Returns the decoded invitation token, or null if it is invalid or expired
+const verifyInviteToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === "deal-invite" ? decoded : null
+  } catch (err) {
+    return null
+  }
+}
+
+// Store a new refresh token in Redis as part of a token family
+const createRefreshToken = async (redisClient, userId, { family, isAdmin = false }) => {
+  const token = crypto.randomBytes(48).toString("hex")
+  const hash = hashToken(token)
+
+  const record = {
+    user: userId.toString(),
+    family,
+    isAdmin,
+    rotated: false,
+  }
+
+  await redisClient
+    .multi()
+    .set(refreshKey(hash), JSON.stringify(record), "EX", REFRESH_TOKEN_TTL)
+    .sadd(familyKey(family), hash)
+    .expire(familyKey(family), REFRESH_TOKEN_TTL)
+    .exec()
+
+  return token
+}
+
+// Issue an access/refresh token pair for a freshly authenticated user. This
+// starts a new device session; device is { userAgent, ip } of the request.
+const issueTokens = async (redisClient, user, { isAdmin = false, device = {} } = {}) => {
+  const family = crypto.randomUUID()
+
+  await createSession(redisClient, {
+    id: family,
+    userId: user._id,
+    isAdmin,
+    userAgent: device.userAgent,
+    ip: device.ip,
+    ttl: REFRESH_TOKEN_TTL,
+  })
+
+  const token = signAccessToken(user, { isAdmin, sessionId: family })
+  const refreshToken = await createRefreshToken(redisClient, user._id, { family, isAdmin })
+
+  return { token, refreshToken }
+}
+
+// Delete every refresh token belonging to a family, ending its session
+const revokeFamily = async (redisClient, family) => {
+  const hashes = await redisClient.smembers(familyKey(family))
+  const pipeline = redisClient.multi()
+
+  hashes.forEach((hash) => pipeline.del(refreshKey(hash)))
+  pipeline.del(familyKey(family))
+
+  await pipeline.exec()
+  await deleteSession(redisClient, family)
+}
+
+// Mark a refresh token as rotated in one step, so only one of two concurrent
+// uses can win. Returns [stored record, 1 if it was already rotated else 0],
+// or null if unknown. The old entry is kept (marked as rotated) so a replay
+// can be detected.
+const MARK_ROTATED = `
+local raw = redis.call("get", KEYS[1])
+if not raw then return nil end
+local record = cjson.decode(raw)
+if record.rotated then return { raw, 1 } end
+record.rotated = true
+redis.call("set", KEYS[1], cjson.encode(record), "KEEPTTL")
+return { raw, 0 }
+`
+
+// Exchange a refresh token for a new pair. A token that was already rotated
+// is treated as stolen: its whole family is revoked and null is returned.
+const rotateRefreshToken = async (redisClient, refreshToken, { ip } = {}) => {
+  const hash = hashToken(refreshToken)
+  const marked = await redisClient.eval(MARK_ROTATED, 1, refreshKey(hash))
+
+  if (!marked) {
+    return null
+  }
+
+  const record = JSON.parse(marked[0])
+
+  if (marked[1] === 1) {
+    await revokeFamily(redisClient, record.family)
+    return null
+  }
+
+  const user = await User.findById(record.user).select("-password")
+
+  if (!user || user.status === "suspended") {
+    await revokeFamily(redisClient, record.family)
+    return null
+  }
+
+  await touchSession(redisClient, record.family, { ip, ttl: REFRESH_TOKEN_TTL })
+
+  const token = signAccessToken(user, { isAdmin: record.isAdmin, sessionId: record.family })
+  const newRefreshToken = await createRefreshToken(redisClient, user._id, {
+    family: record.family,
+    isAdmin: record.isAdmin,
+  })
+
+  return { token, refreshToken: newRefreshToken, user }
+}
+
+// Revoke the family a refresh token belongs to (logout from one device)
+const revokeRefreshToken = async (redisClient, refreshToken) => {
+  const raw = await redisClient.get(refreshKey(hashToken(refreshToken)))
+
+  if (!raw) {
+    return false
+  }
+
+  await revokeFamily(redisClient, JSON.parse(raw).family)
+
+  return true
+}
+
+// Kill all of a user's access: every refresh token family is deleted and the
+// token version is bumped so outstanding access tokens stop working at once.
+const revokeAllForUser = async (redisClient, userId) => {
+  if (redisClient) {
+    const families = await listSessionIds(redisClient, userId)
+
+    for (const family of families) {
+      await revokeFamily(redisClient, family)
+    }
+  }
+
+  await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } })
+}
+
+module.exports = {
+  revokeFamily,
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signPasswordResetToken,
+  verifyPasswordResetToken,
+  signTwoFactorEnrollmentToken,
+  verifyTwoFactorEnrollmentToken,
+  signInviteToken,
+  verifyInviteToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+}
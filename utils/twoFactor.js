@@ -0,0 +1,68 @@
+const crypto = require("crypto")
+const { authenticator } = require("otplib")
+const User = require("../models/User")
+
+const ISSUER = process.env.TOTP_ISSUER || "Virtual Deal Room"
+const RECOVERY_CODE_COUNT = 10
+
+// Accept codes from the previous and next 30s step to allow for clock drift
+authenticator.options = { window: 1 }
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/-/g, "").toLowerCase()).digest("hex")
+
+// Generate a new TOTP secret and the otpauth:// URI authenticator apps scan
+const generateSecret = (email) => {
+  const secret = authenticator.generateSecret()
+  const otpauthUri = authenticator.keyuri(email, ISSUER, secret)
+
+  return { secret, otpauthUri }
+}
+
+const verifyCode = (secret, code) => {
+  if (!secret || !code) {
+    return false
+  }
+
+  return authenticator.check(String(code).replace(/\s/g, ""), secret)
+}
+
+// Generate one-time recovery codes. Returns the plain codes (shown to the user
+// once) and their hashes (stored on the User).
+const generateRecoveryCodes = () => {
+  const codes = []
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex")
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`)
+  }
+
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+// Remove a recovery code from the user if it matches. The code is taken out in
+// a single update, so two logins racing with the same code can't both use it.
+const consumeRecoveryCode = async (user, code) => {
+  if (typeof code !== "string" || !code) {
+    return false
+  }
+
+  const hash = hashRecoveryCode(code)
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } },
+  )
+
+  return result.modifiedCount === 1
+}
+
+// Second factors are mandatory for admins and optional for everyone else
+const isTwoFactorRequired = (user) => user.role === "admin"
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  isTwoFactorRequired,
+}